@@ -15,9 +15,21 @@
 const debugLogs = [];
 const MAX_LOGS = 500;
 
+// Session secrets that must never reach the persisted logs
+const SECRET_LOG_PATTERNS = [
+  // "Cookie": "...", "x-csrftoken": "..." in JSON-stringified headers
+  [/("(?:cookie|set-cookie|authorization|x-csrftoken)"\s*:\s*")(?:[^"\\]|\\.)*"/gi, '$1[redacted]"'],
+  // csrftoken=..., sessionid=... in cookie strings and URLs
+  [/\b((?:csrftoken|csrf_token|sessionid|[\w-]*session[\w-]*|[\w-]*token)=)[^;&\s"]+/gi, '$1[redacted]']
+];
+
+function redactSecrets(text) {
+  return SECRET_LOG_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+}
+
 function log(level, ...args) {
   const timestamp = new Date().toISOString();
-  const message = args.map(a => typeof a === 'object' ? JSON.stringify(a) : String(a)).join(' ');
+  const message = redactSecrets(args.map(a => typeof a === 'object' ? JSON.stringify(a) : String(a)).join(' '));
   const entry = { timestamp, level, message };
 
   debugLogs.push(entry);
@@ -58,7 +70,13 @@ const state = {
   currentQuery: null,
   lastQuery: null,  // Persist captured queries from search page for use from non-search pages
   isRunning: false,
-  progress: { current: 0, total: 0, errors: 0 },
+  searchControl: null,  // { cancelled, paused } for the running deep search
+  interruptedSearch: null,  // Summary of a stored checkpoint the popup can offer to resume
+  searchArgShapes: null,  // { hash, fields: { name: { type, values } } } - postSearchArgs variables observed so far
+  schemaObservations: {},  // operation -> { hash, samples, paths: Set, requiredMissing } - response shapes seen
+  expectedSchema: {},  // operation -> { hash, paths, acceptedAt } - baseline the observations are compared to
+  templateHealth: {},  // operation -> { status, hash, capturedAt, checkedAt, source, message } - how the template last fared
+  progress: { phase: null, current: 0, total: 0, errors: 0, pages: 0, found: 0 },
   lastResult: null,
   resultsTabId: null,  // Track the results tab for reuse
   sessionSearchCount: 0,
@@ -69,18 +87,37 @@ const state = {
     train: null,
     uti: null
   },
-  // Captured request templates - captured fresh each session from browser requests
-  // NEVER persisted to storage - must be captured fresh from user's browser activity
+  // Every GraphQL operation the user's browser has made: operation name -> template
+  // { operation, hash, headers, payload, capturedAt, tabId, pageUrl }
+  operations: {},
+  // The registry entries deep search depends on
   captured: {
-    searchPost: null,  // { hash, headers, payload } - captured when user searches
-    feedItem: null     // { hash, headers, payload } - captured when user clicks a thread
+    searchPost: null,  // captured when user searches
+    feedItem: null,    // captured when user clicks a thread
+    commentPage: null,  // captured when user expands "see more" comments/replies
+    mainFeed: null,     // captured when user scrolls the home feed
+    businessPage: null  // captured when user opens a business page
   },
   accumulatedSearches: [] // for tool call context accumulation
 };
 
 // Load persisted state on startup
 async function initializeState() {
-  const data = await browser.storage.local.get(['uti', 'utiCapturedAt', 'capturedTemplates']);
+  const data = await browser.storage.local.get([
+    'uti', 'utiCapturedAt', 'capturedOperations', 'capturedTemplates', 'searchCheckpoint', 'searchArgShapes', 'schemaObservations',
+    'expectedSchema', 'templateHealth'
+  ]);
+  loadSchemaState(data);
+  state.templateHealth = data.templateHealth || {};
+
+  if (data.searchArgShapes) {
+    state.searchArgShapes = data.searchArgShapes;
+  }
+
+  if (data.searchCheckpoint) {
+    state.interruptedSearch = summarizeCheckpoint(data.searchCheckpoint);
+    console.log('[NDS] Found interrupted search checkpoint for:', data.searchCheckpoint.query);
+  }
 
   if (data.uti) {
     state.uti = data.uti;
@@ -88,32 +125,82 @@ async function initializeState() {
     console.log('[NDS] Loaded UTI from storage, captured at:', new Date(data.utiCapturedAt).toLocaleString());
   }
 
-  if (data.capturedTemplates) {
-    const { searchPost, feedItem } = data.capturedTemplates;
-    if (searchPost) {
-      state.captured.searchPost = searchPost;
-      console.log('[NDS] Loaded searchPost template from storage');
-    }
-    if (feedItem) {
-      state.captured.feedItem = feedItem;
-      console.log('[NDS] Loaded FeedItem template from storage');
-    }
+  if (data.capturedOperations) {
+    // Oldest first so the newest comment paging operation ends up in its slot
+    const templates = Object.values(data.capturedOperations).sort((a, b) => (a.capturedAt || 0) - (b.capturedAt || 0));
+    const slotted = templates.filter(template => registerOperation(template));
+    // Earlier versions stored every operation, variables and all - rewrite without them
+    if (slotted.length < templates.length) persistTemplates();
+    console.log('[NDS] Loaded captured operations from storage:', Object.keys(state.operations).join(', '));
+    updateBadge();
+  } else if (data.capturedTemplates) {
+    // Earlier versions stored just the three deep search templates
+    const { searchPost, feedItem, commentPage } = data.capturedTemplates;
+    if (searchPost) registerOperation({ operation: 'searchPost', ...searchPost });
+    if (feedItem) registerOperation({ operation: 'FeedItem', ...feedItem });
+    if (commentPage) registerOperation(commentPage);
+    persistTemplates();
+    browser.storage.local.remove('capturedTemplates');
+    console.log('[NDS] Migrated stored templates to the operation registry');
     updateBadge();
   }
 }
 
-// Persist templates to storage
+let persistTemplatesTimer = null;
+
+// Only the slotted read templates survive a restart - the rest of the registry is memory-only
+function getPersistableOperations() {
+  const operations = {};
+  for (const template of Object.values(state.captured)) {
+    if (template) operations[template.operation] = template;
+  }
+  return operations;
+}
+
+// Persist templates to storage - batched, since a page load captures many operations at once
 function persistTemplates() {
-  const templates = {
-    searchPost: state.captured.searchPost,
-    feedItem: state.captured.feedItem
-  };
-  browser.storage.local.set({ capturedTemplates: templates });
-  console.log('[NDS] Templates persisted to storage');
+  if (persistTemplatesTimer) return;
+  persistTemplatesTimer = setTimeout(() => {
+    persistTemplatesTimer = null;
+    browser.storage.local.set({ capturedOperations: getPersistableOperations() });
+    console.log('[NDS] Templates persisted to storage');
+  }, 1000);
+}
+
+// Templates persisted by earlier versions kept every header, cookies included
+async function scrubStoredSessionData() {
+  const templates = Object.values(state.operations);
+  const leaked = templates.some(t => t.headers && Object.keys(t.headers).some(name => !isReplayHeader(name)));
+  if (!leaked) return;
+
+  for (const template of templates) {
+    if (template.headers) template.headers = pickReplayHeaders(template.headers);
+  }
+  const data = await browser.storage.local.get('debugLogs');
+  const storedLogs = (data.debugLogs || []).map(entry => ({ ...entry, message: redactSecrets(entry.message) }));
+  await browser.storage.local.set({ capturedOperations: getPersistableOperations(), debugLogs: storedLogs });
+  log('INFO', 'Removed credentials from stored templates and logs');
+}
+
+/**
+ * Wipes captured templates, the UTI and debug logs, in memory and on disk
+ */
+async function forgetSessionData() {
+  state.operations = {};
+  for (const slot of Object.keys(state.captured)) {
+    state.captured[slot] = null;
+  }
+  state.uti = null;
+  state.utiCapturedAt = null;
+  state.templateHealth = {};
+  debugLogs.length = 0;
+  await browser.storage.local.remove(['capturedOperations', 'capturedTemplates', 'uti', 'utiCapturedAt', 'templateHealth', 'debugLogs']);
+  console.log('[NDS] Nextdoor session data forgotten');
+  updateBadge();
 }
 
 // Initialize on startup
-initializeState();
+initializeState().then(scrubStoredSessionData);
 
 // Clean up any old stored hashes from previous versions
 browser.storage.local.remove(['searchPostHash', 'feedItemHash', 'capturedHeaders']);
@@ -125,6 +212,127 @@ browser.storage.local.remove(['searchPostHash', 'feedItemHash', 'capturedHeaders
 // Temporary storage for request bodies (onBeforeRequest fires before onSendHeaders)
 const pendingRequestBodies = new Map();
 
+// Headers kept for replay. Cookies ride along via credentials: 'include' and the
+// content script reads the CSRF token fresh, so neither is ever stored.
+const REPLAY_HEADER_PATTERNS = [/^content-type$/i, /^accept$/i, /^accept-language$/i, /^apollographql-/i, /^x-(?!csrftoken$)/i];
+
+function isReplayHeader(name) {
+  return REPLAY_HEADER_PATTERNS.some(pattern => pattern.test(name));
+}
+
+function pickReplayHeaders(headers) {
+  const kept = {};
+  for (const [name, value] of Object.entries(headers)) {
+    if (isReplayHeader(name)) kept[name] = value;
+  }
+  return kept;
+}
+
+// Operations that fill a deep search slot; comment paging, the main feed and business pages are matched by pattern
+const OPERATION_SLOTS = { searchPost: 'searchPost', FeedItem: 'feedItem' };
+// Nextdoor fires dozens of operations per page - keep the most recent ones
+const MAX_CAPTURED_OPERATIONS = 60;
+// Words in an operation name that mean it changes something on Nextdoor
+const WRITE_OPERATION_WORDS = new Set([
+  'create', 'add', 'delete', 'remove', 'update', 'edit', 'upsert', 'send', 'submit', 'mutation', 'mutate',
+  'fave', 'unfave', 'favorite', 'unfavorite', 'like', 'unlike', 'react', 'recommend', 'unrecommend',
+  'follow', 'unfollow', 'mute', 'unmute', 'hide', 'unhide', 'block', 'unblock', 'report', 'flag',
+  'dismiss', 'vote', 'upload', 'invite'
+]);
+// Verbs that are also nouns ("searchPost", "pageReplies") - only a write when they lead the name
+const LEADING_WRITE_OPERATION_WORDS = new Set([
+  'post', 'reply', 'set', 'save', 'mark', 'share', 'join', 'leave', 'toggle', 'pin', 'unpin', 'review', 'accept', 'decline'
+]);
+
+/**
+ * Whether a captured operation only reads. Nextdoor sends persisted queries by
+ * hash, so the query text is usually absent and the name has to do.
+ * @param {Object} template - { operation, payload }
+ * @returns {boolean}
+ */
+function isReadOperation(template) {
+  const query = template?.payload?.query;
+  if (typeof query === 'string' && /^\s*(?:#[^\n]*\n\s*)*(?:mutation|subscription)\b/i.test(query)) {
+    return false;
+  }
+
+  const words = String(template?.operation || '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[\s_-]+/)
+    .filter(Boolean);
+  if (words.length === 0) return false;
+  return !LEADING_WRITE_OPERATION_WORDS.has(words[0]) && !words.some(word => WRITE_OPERATION_WORDS.has(word));
+}
+
+// The registry keeps names and hashes of unslotted operations, not what the user typed into them
+function withoutVariables(template) {
+  const { variables, ...payload } = template.payload || {};
+  return { ...template, payload };
+}
+
+/**
+ * Adds a captured template to the registry (replacing that operation's older
+ * capture) and to its deep search slot, if it has one. Only read operations
+ * are slotted; everything else is kept without its variables.
+ * @param {Object} template - { operation, hash, headers, payload, capturedAt, tabId, pageUrl }
+ * @returns {string|null} - The state.captured slot it filled
+ */
+function registerOperation(template) {
+  const slot = isReadOperation(template) ? getOperationSlot(template) : null;
+  if (slot) {
+    const previous = state.captured[slot];
+    if (previous && previous.operation !== template.operation && state.operations[previous.operation] === previous) {
+      state.operations[previous.operation] = withoutVariables(previous);
+    }
+    state.captured[slot] = template;
+  }
+  state.operations[template.operation] = slot ? template : withoutVariables(template);
+
+  const names = Object.keys(state.operations);
+  if (names.length > MAX_CAPTURED_OPERATIONS) {
+    const slotted = new Set(Object.values(state.captured).filter(Boolean).map(t => t.operation));
+    const oldest = names
+      .filter(name => !slotted.has(name) && name !== template.operation)
+      .sort((a, b) => (state.operations[a].capturedAt || 0) - (state.operations[b].capturedAt || 0))[0];
+    if (oldest) delete state.operations[oldest];
+  }
+
+  return slot;
+}
+
+// Which deep search slot a read operation fills, if any
+function getOperationSlot(template) {
+  if (OPERATION_SLOTS[template.operation]) return OPERATION_SLOTS[template.operation];
+  if (isCommentPageOperation(template)) return 'commentPage';
+  if (isFeedOperation(template)) return 'mainFeed';
+  if (isBusinessPageOperation(template)) return 'businessPage';
+  return null;
+}
+
+/**
+ * Replays a captured operation through the content script with some variables
+ * swapped out. Write operations are refused (see isReadOperation).
+ * @param {number} tabId - Nextdoor tab whose content script performs the fetch
+ * @param {string} operation - Operation name as captured (e.g. 'FeedItem')
+ * @param {Object} variables - Merged over the captured variables
+ * @param {Function} onRetry - Called with each transient failure before retrying
+ * @returns {Object} - Content script response ({ success, data } or { success: false, error, kind })
+ */
+async function replayOperation(tabId, operation, variables = {}, onRetry = null) {
+  const template = state.operations[operation];
+  if (!template) {
+    return { success: false, error: `No ${operation} request captured yet`, kind: 'missing_template', status: null, attempts: 0 };
+  }
+  if (!isReadOperation(template)) {
+    return { success: false, error: `${operation} changes data on Nextdoor and is never replayed`, kind: 'write_operation', status: null, attempts: 0 };
+  }
+
+  const payload = JSON.parse(JSON.stringify(template.payload));
+  payload.variables = { ...payload.variables, ...variables };
+  return sendGqlMessage(tabId, { type: 'FETCH_GQL', operation, headers: template.headers, payload }, onRetry);
+}
+
 // Step 1: Capture request body (payload) - fires first
 browser.webRequest.onBeforeRequest.addListener(
   (details) => {
@@ -132,24 +340,20 @@ browser.webRequest.onBeforeRequest.addListener(
     if (details.tabId === -1) return;
     if (!details.requestBody?.raw) return;
 
-    const isSearchPost = details.url.includes('/api/gql/searchPost');
-    const isFeedItem = details.url.includes('/api/gql/FeedItem');
-    if (!isSearchPost && !isFeedItem) return;
+    const operation = details.url.match(/\/api\/gql\/([^?/]+)/)?.[1];
+    if (!operation) return;
 
     try {
       const decoder = new TextDecoder();
       const payload = JSON.parse(decoder.decode(details.requestBody.raw[0].bytes));
 
-      // Skip requests made by the extension itself during deep search
-      if (state.isRunning) {
+      // Skip requests made by the extension itself during deep or saved searches and template tests
+      if (state.isRunning || savedSearchRunning || templateTestRunning) {
         return;
       }
 
       // Store temporarily for onSendHeaders to pick up
-      pendingRequestBodies.set(details.requestId, {
-        type: isSearchPost ? 'searchPost' : 'feedItem',
-        payload
-      });
+      pendingRequestBodies.set(details.requestId, { operation, payload });
 
       // Clean up old entries after 5 seconds
       setTimeout(() => pendingRequestBodies.delete(details.requestId), 5000);
@@ -183,10 +387,12 @@ browser.webRequest.onSendHeaders.addListener(
     if (!pending) return;
     pendingRequestBodies.delete(details.requestId);
 
-    // Build headers object - capture ALL headers exactly as browser sends them
+    // Build headers object - only what replay needs, exactly as the browser sends it
     const headers = {};
     for (const header of details.requestHeaders) {
-      headers[header.name] = header.value;
+      if (isReplayHeader(header.name)) {
+        headers[header.name] = header.value;
+      }
     }
 
     // Extract hash from payload
@@ -194,32 +400,32 @@ browser.webRequest.onSendHeaders.addListener(
 
     // Store complete request template
     const template = {
+      operation: pending.operation,
       hash,
       headers,
       payload: pending.payload,
-      capturedAt: Date.now()
+      capturedAt: Date.now(),
+      tabId: details.tabId,
+      pageUrl: details.documentUrl || details.originUrl || null
     };
 
-    if (pending.type === 'searchPost') {
-      state.captured.searchPost = template;
-      log('INFO', '========== CAPTURED searchPost ==========');
+    const slot = registerOperation(template);
+    if (slot) {
+      if (slot === 'searchPost') recordSearchArgShapes(template);
+      log('INFO', `========== CAPTURED ${pending.operation}${slot === 'commentPage' ? ' (comment paging)' : ''} ==========`);
       log('INFO', 'Hash:', hash);
       log('INFO', 'Header count:', Object.keys(headers).length);
-      log('INFO', 'Headers:', JSON.stringify(headers, null, 2));
+      log('INFO', 'Headers:', Object.keys(headers).join(', '));
       log('INFO', 'Payload:', JSON.stringify(pending.payload, null, 2));
       log('INFO', '========================================');
+
+      // Persist templates to storage for next session
+      persistTemplates();
     } else {
-      state.captured.feedItem = template;
-      log('INFO', '========== CAPTURED FeedItem ==========');
-      log('INFO', 'Hash:', hash);
-      log('INFO', 'Header count:', Object.keys(headers).length);
-      log('INFO', 'Headers:', JSON.stringify(headers, null, 2));
-      log('INFO', 'Payload:', JSON.stringify(pending.payload, null, 2));
-      log('INFO', '========================================');
+      // Console only - every other GraphQL request would otherwise cost a storage write
+      console.log(`[NDS] Captured ${pending.operation} (hash ${hash ? hash.substring(0, 12) : 'none'})`);
     }
 
-    // Persist templates to storage for next session
-    persistTemplates();
     updateBadge();
   },
   { urls: ['*://nextdoor.com/api/gql/*'] },
@@ -274,8 +480,43 @@ browser.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
       updateTabState(tabId, tab.url);
     }
   }
+
+  // A Nextdoor tab finished loading - saved searches that were due can run now
+  if (changeInfo.status === 'complete' && checkPageStatus(tab.url).isNextdoor) {
+    runPendingSavedSearches().catch(error => log('ERROR', 'Pending saved searches failed:', error.message));
+  }
 });
 
+/**
+ * Focuses the results tab, opening one if it was closed
+ * @param {Object} options - { reload } to re-read lastSearchData in an open tab
+ */
+async function showResultsTab({ reload = false } = {}) {
+  // Check if results tab exists and is still open
+  if (state.resultsTabId) {
+    try {
+      const tab = await browser.tabs.get(state.resultsTabId);
+      // Tab exists, focus it
+      await browser.tabs.update(state.resultsTabId, { active: true });
+      await browser.windows.update(tab.windowId, { focused: true });
+      if (reload) await browser.tabs.reload(state.resultsTabId);
+      console.log('[NDS] Focused existing results tab');
+      return;
+    } catch (e) {
+      // Tab doesn't exist anymore, clear the ID
+      console.log('[NDS] Stored results tab no longer exists');
+      state.resultsTabId = null;
+    }
+  }
+
+  // Open new results tab and store the ID
+  const newTab = await browser.tabs.create({
+    url: browser.runtime.getURL('results/results.html')
+  });
+  state.resultsTabId = newTab.id;
+  console.log('[NDS] Opened new results tab:', newTab.id);
+}
+
 // Clean up resultsTabId when the results tab is closed
 browser.tabs.onRemoved.addListener((tabId) => {
   if (state.resultsTabId === tabId) {
@@ -293,8 +534,12 @@ function updateBadge() {
   let color = '#888888'; // Gray - not ready
 
   const hasAllTemplates = !!state.captured.searchPost && !!state.captured.feedItem;
+  const hasStaleTemplate = getStaleTemplates().length > 0;
 
-  if (state.isRunning) {
+  if (state.isRunning && state.searchControl?.paused) {
+    text = 'II';
+    color = '#666666'; // Dark gray - paused
+  } else if (state.isRunning) {
     text = '...';
     color = '#0066CC'; // Blue - running
   } else if (!state.uti) {
@@ -303,6 +548,9 @@ function updateBadge() {
   } else if (!hasAllTemplates) {
     text = '!';
     color = '#FFAA00'; // Yellow - missing templates
+  } else if (hasStaleTemplate) {
+    text = 'OLD';
+    color = '#E65100'; // Orange - a template stopped working
   } else if (state.isOnNextdoor) {
     text = 'GO';
     color = '#00A859'; // Green - ready (on nextdoor.com with all templates)
@@ -333,6 +581,9 @@ browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
           isOnSearchPage: state.isOnSearchPage,
           query: state.currentQuery,
           isRunning: state.isRunning,
+          isPaused: !!state.searchControl?.paused,
+          isCancelling: !!state.searchControl?.cancelled,
+          interruptedSearch: state.isRunning ? null : state.interruptedSearch,
           progress: state.progress,
           lastResult: state.lastResult,
           hasLastResult: !!state.lastResult,  // For popup to know if results exist
@@ -341,6 +592,10 @@ browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
           // New: show capture status
           hasSearchPostTemplate: !!state.captured.searchPost,
           hasFeedItemTemplate: !!state.captured.feedItem,
+          hasCommentPageTemplate: !!state.captured.commentPage,
+          hasMainFeedTemplate: !!state.captured.mainFeed,
+          staleTemplates: getStaleTemplates(),
+          searchFilterSupport: getSearchFilterSupport(),
           lastQuery: state.lastQuery  // Persisted query for non-search page triggering
         }
       });
@@ -351,42 +606,219 @@ browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
         sendResponse({ type: 'ERROR', data: { message: 'Search already in progress' } });
         return true;
       }
-      startSearch(sender);
+      if (savedSearchRunning) {
+        sendResponse({ type: 'ERROR', data: { message: 'A saved search is running - try again when it finishes' } });
+        return true;
+      }
+      startSearch(sender, {
+        queries: message.data?.queries,
+        filters: message.data?.filters,
+        forceRefresh: !!message.data?.forceRefresh
+      });
+      sendResponse({ type: 'ACKNOWLEDGED' });
+      return true;
+
+    case 'START_FEED_CRAWL':
+      if (state.isRunning) {
+        sendResponse({ type: 'ERROR', data: { message: 'Search already in progress' } });
+        return true;
+      }
+      if (savedSearchRunning) {
+        sendResponse({ type: 'ERROR', data: { message: 'A saved search is running - try again when it finishes' } });
+        return true;
+      }
+      startSearch(sender, {
+        feed: normalizeFeedOptions(message.data),
+        forceRefresh: !!message.data?.forceRefresh
+      });
+      sendResponse({ type: 'ACKNOWLEDGED' });
+      return true;
+
+    case 'RESUME_INTERRUPTED_SEARCH':
+      if (state.isRunning) {
+        sendResponse({ type: 'ERROR', data: { message: 'Search already in progress' } });
+        return true;
+      }
+      if (savedSearchRunning) {
+        sendResponse({ type: 'ERROR', data: { message: 'A saved search is running - try again when it finishes' } });
+        return true;
+      }
+      resumeInterruptedSearch(sender).then(() => {
+        sendResponse({ type: 'ACKNOWLEDGED' });
+      }).catch(error => {
+        sendResponse({ type: 'ERROR', data: { message: error.message } });
+      });
+      return true;
+
+    case 'DISCARD_INTERRUPTED_SEARCH':
+      clearCheckpoint().then(() => {
+        sendResponse({ type: 'ACKNOWLEDGED' });
+      });
+      return true;
+
+    case 'CANCEL_SEARCH':
+    case 'PAUSE_SEARCH':
+    case 'RESUME_SEARCH':
+      if (!state.isRunning || !state.searchControl) {
+        sendResponse({ type: 'ERROR', data: { message: 'No search in progress' } });
+        return true;
+      }
+      if (message.type === 'CANCEL_SEARCH') {
+        cancelSearch(state.searchControl);
+      } else {
+        setSearchPaused(state.searchControl, message.type === 'PAUSE_SEARCH');
+      }
+      updateBadge();
       sendResponse({ type: 'ACKNOWLEDGED' });
       return true;
 
     case 'VIEW_RESULTS':
-      (async () => {
-        try {
-          // Check if results tab exists and is still open
-          if (state.resultsTabId) {
-            try {
-              const tab = await browser.tabs.get(state.resultsTabId);
-              // Tab exists, focus it
-              await browser.tabs.update(state.resultsTabId, { active: true });
-              await browser.windows.update(tab.windowId, { focused: true });
-              console.log('[NDS] Focused existing results tab');
-              sendResponse({ type: 'ACKNOWLEDGED' });
-              return;
-            } catch (e) {
-              // Tab doesn't exist anymore, clear the ID
-              console.log('[NDS] Stored results tab no longer exists');
-              state.resultsTabId = null;
-            }
-          }
+      showResultsTab().then(() => {
+        sendResponse({ type: 'ACKNOWLEDGED' });
+      }).catch(error => {
+        console.error('[NDS] Error viewing results:', error);
+        sendResponse({ type: 'ERROR', data: { message: error.message } });
+      });
+      return true;
 
-          // Open new results tab and store the ID
-          const newTab = await browser.tabs.create({
-            url: browser.runtime.getURL('results/results.html')
-          });
-          state.resultsTabId = newTab.id;
-          console.log('[NDS] Opened new results tab:', newTab.id);
-          sendResponse({ type: 'ACKNOWLEDGED' });
-        } catch (error) {
-          console.error('[NDS] Error viewing results:', error);
-          sendResponse({ type: 'ERROR', data: { message: error.message } });
-        }
-      })();
+    case 'REFRESH_RESULTS':
+      if (state.isRunning) {
+        sendResponse({ type: 'ERROR', data: { message: 'A search is already in progress' } });
+        return true;
+      }
+      if (savedSearchRunning) {
+        sendResponse({ type: 'ERROR', data: { message: 'A saved search is running - try again when it finishes' } });
+        return true;
+      }
+      refreshLastSearch().then(summary => {
+        sendResponse({ type: 'REFRESH_COMPLETE', data: summary });
+      }).catch(error => {
+        log('ERROR', 'refreshLastSearch error:', error.message);
+        sendResponse({ type: 'ERROR', data: { message: error.message } });
+      });
+      return true;
+
+    case 'GET_TEMPLATE_INFO':
+      getTemplateInfo().then(info => {
+        sendResponse({ type: 'TEMPLATE_INFO', data: info });
+      });
+      return true;
+
+    case 'TEST_TEMPLATES':
+      testTemplates().then(results => {
+        sendResponse({ type: 'TEMPLATE_TEST_RESULTS', data: results });
+      }).catch(error => {
+        sendResponse({ type: 'ERROR', data: { message: error.message } });
+      });
+      return true;
+
+    case 'FORGET_SESSION_DATA':
+      if (state.isRunning || savedSearchRunning) {
+        sendResponse({ type: 'ERROR', data: { message: 'Wait for the running search to finish' } });
+        return true;
+      }
+      forgetSessionData().then(() => {
+        sendResponse({ type: 'ACKNOWLEDGED' });
+      });
+      return true;
+
+    case 'GET_SCHEMA_REPORT':
+      sendResponse({ type: 'SCHEMA_REPORT', data: getSchemaReport() });
+      return true;
+
+    case 'ACCEPT_SCHEMA_BASELINE':
+      acceptSchemaBaseline().then(() => {
+        sendResponse({ type: 'ACKNOWLEDGED' });
+      });
+      return true;
+
+    case 'EXPORT_RESULTS':
+      exportResults(message.data?.format).then(filename => {
+        sendResponse({ type: 'EXPORT_COMPLETE', data: { filename } });
+      }).catch(error => {
+        log('ERROR', 'exportResults:', error.message);
+        sendResponse({ type: 'ERROR', data: { message: error.message } });
+      });
+      return true;
+
+    case 'DOWNLOAD_FILE':
+      saveDownload(message.data.filename, message.data.content, message.data.mimeType).then(filename => {
+        sendResponse({ type: 'DOWNLOAD_COMPLETE', data: { filename } });
+      }).catch(error => {
+        log('ERROR', 'saveDownload:', error.message);
+        sendResponse({ type: 'ERROR', data: { message: error.message } });
+      });
+      return true;
+
+    case 'IMPORT_RESULTS':
+      importResults(message.data?.text).then(async summary => {
+        if (message.data?.openResults) await showResultsTab({ reload: true });
+        sendResponse({ type: 'IMPORT_COMPLETE', data: summary });
+      }).catch(error => {
+        log('WARN', 'importResults:', error.message);
+        sendResponse({ type: 'ERROR', data: { message: error.message } });
+      });
+      return true;
+
+    case 'GET_SAVED_SEARCHES':
+      loadSavedSearches().then(savedSearches => {
+        // Snapshots can hold hundreds of postIds - the options page doesn't need them
+        const data = savedSearches.map(({ snapshot, ...search }) => ({ ...search, hasBaseline: !!snapshot }));
+        sendResponse({ type: 'SAVED_SEARCHES', data });
+      }).catch(error => {
+        sendResponse({ type: 'ERROR', data: { message: error.message } });
+      });
+      return true;
+
+    case 'SAVE_SAVED_SEARCH':
+      upsertSavedSearch(message.data || {}).then(() => {
+        sendResponse({ type: 'ACKNOWLEDGED' });
+      }).catch(error => {
+        sendResponse({ type: 'ERROR', data: { message: error.message } });
+      });
+      return true;
+
+    case 'DELETE_SAVED_SEARCH':
+      deleteSavedSearch(message.data?.id).then(() => {
+        sendResponse({ type: 'ACKNOWLEDGED' });
+      }).catch(error => {
+        sendResponse({ type: 'ERROR', data: { message: error.message } });
+      });
+      return true;
+
+    case 'LOAD_SAVED_SEARCH_RESULTS':
+      loadSavedSearchResults(message.data?.id).then(() => {
+        sendResponse({ type: 'ACKNOWLEDGED' });
+      }).catch(error => {
+        sendResponse({ type: 'ERROR', data: { message: error.message } });
+      });
+      return true;
+
+    case 'RUN_SAVED_SEARCH':
+      // Runs in the background; the options page polls GET_SAVED_SEARCHES for the outcome
+      getRunnableSavedSearch(message.data?.id).then(search => {
+        runSavedSearch(search.id).catch(error => log('ERROR', `Saved search ${search.id} failed:`, error.message));
+        sendResponse({ type: 'ACKNOWLEDGED' });
+      }).catch(error => {
+        sendResponse({ type: 'ERROR', data: { message: error.message } });
+      });
+      return true;
+
+    case 'GET_CACHE_STATS':
+      getCacheStats().then(stats => {
+        sendResponse({ type: 'CACHE_STATS', data: stats });
+      }).catch(error => {
+        sendResponse({ type: 'ERROR', data: { message: error.message } });
+      });
+      return true;
+
+    case 'PURGE_CACHE':
+      threadCache.clear().then(() => {
+        log('INFO', 'Thread cache purged');
+        sendResponse({ type: 'ACKNOWLEDGED' });
+      }).catch(error => {
+        sendResponse({ type: 'ERROR', data: { message: error.message } });
+      });
       return true;
 
     // EXTRACTED_DATA handler removed - no longer needed
@@ -434,85 +866,443 @@ browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
 });
 
 // ============================================================================
-// Comment Extraction - Recursive handling of nested replies
+// Timestamps - absolute creation times alongside Nextdoor's relative labels
 // ============================================================================
 
+// Fields a Nextdoor DateTime object may carry an absolute time in, in lookup order
+const ABSOLUTE_TIME_FIELDS = ['epochMillis', 'epochSeconds', 'timestamp', 'iso8601', 'isoDateTime', 'utcDateTime', 'dateTime'];
+// Relative label units ("5 min ago", "2 wk ago", "3 mo ago"), longest spellings first
+const RELATIVE_TIME_UNITS = [
+  [/^(seconds?|secs?|s)$/, 1000],
+  [/^(minutes?|mins?|m)$/, 60 * 1000],
+  [/^(hours?|hrs?|h)$/, 60 * 60 * 1000],
+  [/^(days?|d)$/, 24 * 60 * 60 * 1000],
+  [/^(weeks?|wks?|w)$/, 7 * 24 * 60 * 60 * 1000],
+  [/^(months?|mos?|mon)$/, 30 * 24 * 60 * 60 * 1000],
+  [/^(years?|yrs?|y)$/, 365 * 24 * 60 * 60 * 1000]
+];
+
+function toIsoTime(value, field = null) {
+  if (typeof value === 'number' && value > 0) {
+    // Seconds vs milliseconds: trust the field name, else the magnitude
+    const ms = field === 'epochSeconds' || value < 1e12 ? value * 1000 : value;
+    return new Date(ms).toISOString();
+  }
+  if (typeof value === 'string' && value) {
+    if (/^\d+$/.test(value)) return toIsoTime(Number(value), field);
+    const parsed = Date.parse(value);
+    if (!Number.isNaN(parsed)) return new Date(parsed).toISOString();
+  }
+  return null;
+}
+
 /**
- * Recursively extracts comments and their nested replies
- * @param {Object} commentNode - The comment node from the GraphQL response
- * @param {number} level - Nesting level (0 for top-level)
- * @returns {Object|null} - Extracted comment with replies array
+ * Absolute creation time from a GraphQL createdAt value
+ * @param {Object|number|string} createdAt - The raw createdAt field
+ * @returns {string|null} - ISO 8601 string, or null if the response only has a relative label
  */
-function extractCommentWithReplies(commentNode, level = 0) {
-  const c = commentNode?.comment;
-  if (!c) return null;
-
-  // Extract basic comment data
-  const phone = c.styledBody?.styles?.find(s => s.attributes?.action?.phoneNumber)?.attributes?.action?.phoneNumber;
-  const biz = c.taggedContent?.[0]?.entityPage;
-
-  const comment = {
-    author: c.author?.displayName,
-    location: c.author?.originationNeighborhood?.displayLocation,
-    body: c.body,
-    createdAt: c.createdAt?.asDateTime?.relativeTime,
-    phone: phone || null,
-    business: biz ? {
-      name: biz.name,
-      category: biz.categoryInfo?.displayCategory?.styledName?.text,
-      faves: biz.faveCount?.value,
-      address: biz.address?.fullAddress
-    } : null,
-    level: level,
-    replies: []
-  };
-
-  // Check for nested replies - common field names in GraphQL schemas
-  // Try multiple possible field names for nested comments
-  const repliesData = c.replies?.pagedComments?.edges ||
-                      c.replies?.edges ||
-                      c.childComments?.pagedComments?.edges ||
-                      c.childComments?.edges ||
-                      c.responses?.pagedComments?.edges ||
-                      c.responses?.edges ||
-                      c.nestedComments?.pagedComments?.edges ||
-                      c.nestedComments?.edges ||
-                      [];
-
-  // Debug logging: Log comment structure for first few comments to discover nested reply field
-  if (level === 0 && Math.random() < 0.1) {
-    // Log 10% of top-level comments to see structure without overwhelming logs
-    log('DEBUG', 'Comment structure sample:', JSON.stringify({
-      hasReplies: !!c.replies,
-      hasChildComments: !!c.childComments,
-      hasResponses: !!c.responses,
-      hasNestedComments: !!c.nestedComments,
-      commentKeys: Object.keys(c).filter(k => k.toLowerCase().includes('reply') || k.toLowerCase().includes('comment') || k.toLowerCase().includes('response'))
-    }));
+function getAbsoluteTime(createdAt) {
+  if (createdAt === null || createdAt === undefined) return null;
+  if (typeof createdAt !== 'object') return toIsoTime(createdAt);
+
+  for (const source of [createdAt.asDateTime, createdAt]) {
+    if (!source) continue;
+    for (const field of ABSOLUTE_TIME_FIELDS) {
+      const iso = toIsoTime(source[field], field);
+      if (iso) return iso;
+    }
   }
+  return null;
+}
 
-  // Recursively extract nested replies
-  if (repliesData.length > 0) {
-    log('DEBUG', `Found ${repliesData.length} nested replies at level ${level}`);
-    for (const replyEdge of repliesData) {
-      const nestedComment = extractCommentWithReplies(replyEdge.node, level + 1);
-      if (nestedComment) {
-        comment.replies.push(nestedComment);
-      }
-    }
+/**
+ * Estimates an absolute time from a label like "2 wk ago", "Yesterday" or
+ * "Mar 3" when the response carries nothing better
+ * @param {string} label - Nextdoor's relative time label
+ * @param {number} now - When the label was fetched
+ * @returns {string|null} - ISO 8601 string
+ */
+function estimateFromRelativeTime(label, now = Date.now()) {
+  const text = (label || '').trim().toLowerCase();
+  if (!text) return null;
+  if (text === 'just now' || text === 'now') return new Date(now).toISOString();
+  if (text === 'yesterday') return new Date(now - 24 * 60 * 60 * 1000).toISOString();
+
+  const match = text.match(/^(\d+)\s*([a-z]+)/);
+  if (match) {
+    const unit = RELATIVE_TIME_UNITS.find(([pattern]) => pattern.test(match[2]));
+    if (unit) return new Date(now - parseInt(match[1], 10) * unit[1]).toISOString();
   }
 
-  return comment;
+  // Older posts show a date ("Mar 3", "Mar 3, 2023") - without a year it's the most recent one
+  if (!/^[a-z]{3,9}\.?\s+\d{1,2}\b/.test(text)) return null;
+  const hasYear = /\d{4}/.test(text);
+  const parsed = Date.parse(hasYear ? label : `${label}, ${new Date(now).getFullYear()}`);
+  if (Number.isNaN(parsed)) return null;
+  const date = new Date(parsed);
+  if (!hasYear && date.getTime() > now) date.setFullYear(date.getFullYear() - 1);
+  return date.toISOString();
 }
 
 /**
- * Extracts all comments (top-level and nested) from a post
- * @param {Object} post - The post object from GraphQL response
- * @returns {Array} - Array of comment objects with nested replies
+ * Both forms of a creation time for the thread/comment model
+ * @param {Object} createdAt - The raw createdAt field
+ * @returns {Object} - { createdAt (relative label), createdAtIso, createdAtEstimated }
  */
-function extractAllComments(post) {
-  const topLevelEdges = post.comments?.pagedComments?.edges || [];
-  const comments = [];
+function extractTimestamps(createdAt) {
+  const relative = createdAt?.asDateTime?.relativeTime || null;
+  const iso = getAbsoluteTime(createdAt);
+  if (iso) {
+    return { createdAt: relative, createdAtIso: iso, createdAtEstimated: false };
+  }
+  const estimate = estimateFromRelativeTime(relative);
+  return { createdAt: relative, createdAtIso: estimate, createdAtEstimated: !!estimate };
+}
+
+/**
+ * Date for exports and the AI context - the absolute time, never a stale "2 wk ago"
+ * @param {Object} item - Thread op or comment
+ * @returns {string}
+ */
+function formatPostedDate(item) {
+  if (!item?.createdAtIso) return item?.createdAt || 'unknown date';
+  const date = new Date(item.createdAtIso);
+  // An estimate from "2 wk ago" isn't precise to the minute
+  return item.createdAtEstimated
+    ? `about ${date.toLocaleDateString('en-US', { dateStyle: 'medium' })}`
+    : date.toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+// ============================================================================
+// Post Details - reactions, media, topics, edit flags and author IDs
+// ============================================================================
+
+// Candidate field names for each detail, in lookup order (shared by posts and comments)
+const REACTION_FIELDS = ['reactionSummaries', 'reactionSummary', 'reactions'];
+const MEDIA_FIELDS = ['media', 'photos', 'images', 'attachments', 'mediaAttachments'];
+const MEDIA_URL_FIELDS = ['largeUrl', 'url', 'src', 'imageUrl', 'originalUrl', 'playbackUrl'];
+const MEDIA_THUMBNAIL_FIELDS = ['thumbnailUrl', 'smallUrl', 'previewUrl', 'mediumUrl'];
+const TOPIC_FIELDS = ['topics', 'categories', 'postTopics', 'topic', 'category', 'postCategory'];
+const AUTHOR_ID_FIELDS = ['id', 'userId', 'legacyUserId', 'profileId', 'urn'];
+
+// Arrays may come bare or wrapped in a connection ({ edges: [{ node }] } / { nodes })
+function unwrapList(value) {
+  if (Array.isArray(value)) return value;
+  if (Array.isArray(value?.edges)) return value.edges.map(e => e?.node).filter(Boolean);
+  if (Array.isArray(value?.nodes)) return value.nodes;
+  return value && typeof value === 'object' ? [value] : [];
+}
+
+function firstString(obj, fields) {
+  for (const field of fields) {
+    const value = field.split('.').reduce((o, k) => o?.[k], obj);
+    if (typeof value === 'string' && value) return value;
+  }
+  return null;
+}
+
+/**
+ * Reaction counts for a post or comment
+ * @returns {Object|null} - { total, byType: { LIKE: 3, ... } }, or null when the response has none
+ */
+function extractReactions(node) {
+  const field = REACTION_FIELDS.find(f => node?.[f]);
+  const byType = {};
+
+  if (field) {
+    const source = node[field];
+    const summaries = unwrapList(source.summaries || source.reactionSummaries || source);
+    for (const summary of summaries) {
+      const type = summary?.reactionType || summary?.type || summary?.reaction;
+      // Individual reaction records (no count) each count once
+      const count = summary?.count ?? summary?.totalCount ?? 1;
+      if (type && typeof count === 'number' && count > 0) {
+        byType[type] = (byType[type] || 0) + count;
+      }
+    }
+    const summed = Object.values(byType).reduce((sum, n) => sum + n, 0);
+    const total = typeof source.totalCount === 'number' ? source.totalCount : summed;
+    return total > 0 ? { total, byType } : null;
+  }
+
+  // Some responses only carry a bare count
+  const count = [node?.reactionCount, node?.likeCount, node?.numReactions].find(n => typeof n === 'number');
+  return count > 0 ? { total: count, byType } : null;
+}
+
+/**
+ * Attached photos and videos
+ * @returns {Array} - [{ type: 'photo'|'video', url, thumbnailUrl }]
+ */
+function extractMedia(node) {
+  const media = [];
+  const seen = new Set();
+  for (const field of MEDIA_FIELDS) {
+    for (const item of unwrapList(node?.[field])) {
+      const source = item?.image || item?.photo || item?.video || item;
+      const url = firstString(source, MEDIA_URL_FIELDS);
+      if (!url || seen.has(url)) continue;
+      seen.add(url);
+
+      const typeHint = `${item.__typename || ''} ${item.type || ''} ${item.mediaType || ''}`;
+      media.push({
+        type: item.video || /video/i.test(typeHint) ? 'video' : 'photo',
+        url,
+        thumbnailUrl: firstString(source, MEDIA_THUMBNAIL_FIELDS) || url
+      });
+    }
+  }
+  return media;
+}
+
+/**
+ * Topic / category names attached to a post
+ * @returns {Array} - Topic names
+ */
+function extractTopics(post) {
+  const topics = new Set();
+  for (const field of TOPIC_FIELDS) {
+    for (const item of unwrapList(post?.[field])) {
+      const name = typeof item === 'string' ? item : firstString(item, ['name', 'displayName', 'title', 'styledName.text']);
+      if (name) topics.add(name);
+    }
+  }
+  return [...topics];
+}
+
+/**
+ * Every business page tagged in a post or comment
+ * @returns {Array} - [{ name, category, faves, address }]
+ */
+function extractBusinesses(node) {
+  const businesses = [];
+  const seen = new Set();
+  for (const tagged of unwrapList(node?.taggedContent)) {
+    const biz = tagged?.entityPage;
+    if (!biz?.name) continue;
+    const key = biz.id || biz.name;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    businesses.push({
+      name: biz.name,
+      category: biz.categoryInfo?.displayCategory?.styledName?.text,
+      faves: biz.faveCount?.value,
+      address: biz.address?.fullAddress,
+      // What the business page lookup needs to find it again
+      id: biz.id || null,
+      slug: biz.slug || null,
+      url: biz.url || biz.pageUrl || null
+    });
+  }
+  return businesses;
+}
+
+/**
+ * Phone numbers and links attached to the body text as action styles
+ * @returns {Object} - { phones, links }
+ */
+function extractActionStyles(node) {
+  const phones = [];
+  const links = [];
+  for (const style of node?.styledBody?.styles || []) {
+    const action = style?.attributes?.action;
+    if (!action) continue;
+    if (action.phoneNumber && !phones.includes(action.phoneNumber)) {
+      phones.push(action.phoneNumber);
+    }
+    const url = action.url || action.href || action.link;
+    if (typeof url === 'string' && url && !links.includes(url)) {
+      links.push(url);
+    }
+  }
+  return { phones, links };
+}
+
+// Results saved before phones/businesses became arrays carry a single phone/business
+function getPhones(item) {
+  return item.phones || (item.phone ? [item.phone] : []);
+}
+
+function getBusinesses(item) {
+  return item.businesses || (item.business ? [item.business] : []);
+}
+
+function isEdited(node) {
+  return !!(node?.isEdited || node?.edited || node?.wasEdited || node?.editedAt || node?.lastEditedAt);
+}
+
+// Stable identifier for an author - display names change and aren't unique
+function extractAuthorId(author) {
+  if (!author) return null;
+  for (const field of AUTHOR_ID_FIELDS) {
+    const value = author[field];
+    if ((typeof value === 'string' && value) || typeof value === 'number') return String(value);
+  }
+  return null;
+}
+
+// ============================================================================
+// Contact Mining - phones, emails, websites and handles typed into text
+// ============================================================================
+
+const PHONE_PATTERN = /(?:\+?1[\s.-]?)?\(?\b\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}\b/g;
+const EMAIL_PATTERN = /\b[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}\b/gi;
+const WEBSITE_PATTERN = /\b(?:https?:\/\/)?(?:www\.)?[a-z0-9][a-z0-9-]*(?:\.[a-z0-9-]+)*\.(?:com|net|org|biz|info|us|co|io|me|pro|services)\b(?:\/[^\s)]*)?/gi;
+const HANDLE_PATTERN = /(^|[^\w.@])@([a-z0-9_](?:[a-z0-9_.]{0,28}[a-z0-9_])?)/gi;
+// Platform named near a handle ("@fixitmike on IG") -> profile URL prefix
+const SOCIAL_PLATFORMS = [
+  { name: 'instagram', pattern: /\b(ig|insta|instagram)\b/i, url: 'https://instagram.com/' },
+  { name: 'facebook', pattern: /\b(fb|facebook)\b/i, url: 'https://facebook.com/' },
+  { name: 'tiktok', pattern: /\btik\s?tok\b/i, url: 'https://tiktok.com/@' },
+  { name: 'twitter', pattern: /\b(twitter|tweet)\b/i, url: 'https://twitter.com/' }
+];
+// Our own links aren't contact details
+const IGNORED_WEBSITE_HOSTS = ['nextdoor.com', 'nextdoor.co'];
+
+/**
+ * Normalizes a North American phone number to E.164
+ * @returns {string|null} - "+15551234567", or null when it isn't a plausible number
+ */
+function toE164(raw) {
+  const digits = raw.replace(/\D/g, '');
+  const national = digits.length === 11 && digits.startsWith('1') ? digits.slice(1) : digits;
+  // Area codes never start with 0 or 1. Exchanges aren't checked - neighbors write
+  // placeholder-looking numbers like 555-123-4567 and those are still worth keeping.
+  if (national.length !== 10 || /^[01]/.test(national)) return null;
+  return `+1${national}`;
+}
+
+function normalizeWebsite(raw) {
+  const withScheme = /^https?:\/\//i.test(raw) ? raw : `https://${raw}`;
+  try {
+    const url = new URL(withScheme.replace(/[.,!?]+$/, ''));
+    const host = url.hostname.toLowerCase().replace(/^www\./, '');
+    if (IGNORED_WEBSITE_HOSTS.some(h => host === h || host.endsWith('.' + h))) return null;
+    return `https://${host}${url.pathname === '/' ? '' : url.pathname}`;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Finds contact details typed into a post or comment body
+ * @param {string} text - Body text
+ * @param {Array} knownPhones - Numbers already attached as action styles (skipped)
+ * @returns {Object|null} - { phones: [{ display, e164 }], emails, websites, handles: [{ handle, platform, url }] }
+ *   or null when the text has none
+ */
+function extractTextContacts(text, knownPhones = []) {
+  if (!text) return null;
+
+  const known = new Set(knownPhones.map(toE164).filter(Boolean));
+  const phones = [];
+  for (const match of text.matchAll(PHONE_PATTERN)) {
+    const e164 = toE164(match[0]);
+    if (e164 && !known.has(e164)) {
+      known.add(e164);
+      phones.push({ display: match[0].trim(), e164 });
+    }
+  }
+
+  const emails = [...new Set((text.match(EMAIL_PATTERN) || []).map(e => e.toLowerCase()))];
+
+  // Emails contain domains and @ signs - take them out before looking for websites and handles
+  const rest = text.replace(EMAIL_PATTERN, ' ');
+
+  const websites = [...new Set((rest.match(WEBSITE_PATTERN) || []).map(normalizeWebsite).filter(Boolean))];
+
+  const handles = [];
+  for (const match of rest.matchAll(HANDLE_PATTERN)) {
+    const handle = match[2].toLowerCase();
+    if (handles.some(h => h.handle === handle)) continue;
+    const start = match.index + match[1].length;
+    const context = rest.substring(Math.max(0, start - 30), start + handle.length + 31);
+    const platform = SOCIAL_PLATFORMS.find(p => p.pattern.test(context));
+    // A bare "@Sarah" is a neighbor mention, not a business handle
+    if (!platform) continue;
+    handles.push({ handle, platform: platform.name, url: platform.url + handle });
+  }
+
+  if (phones.length + emails.length + websites.length + handles.length === 0) return null;
+  return { phones, emails, websites, handles };
+}
+
+// ============================================================================
+// Comment Extraction - Recursive handling of nested replies
+// ============================================================================
+
+// Field names Nextdoor might use for a comment's nested replies, in lookup order
+const REPLY_FIELDS = ['replies', 'childComments', 'responses', 'nestedComments'];
+
+/**
+ * Recursively extracts comments and their nested replies
+ * @param {Object} commentNode - The comment node from the GraphQL response
+ * @param {number} level - Nesting level (0 for top-level)
+ * @returns {Object|null} - Extracted comment with replies array
+ */
+function extractCommentWithReplies(commentNode, level = 0) {
+  const c = commentNode?.comment;
+  if (!c) return null;
+
+  const { phones, links } = extractActionStyles(c);
+  const comment = {
+    id: c.id || null,
+    author: c.author?.displayName,
+    authorId: extractAuthorId(c.author),
+    location: c.author?.originationNeighborhood?.displayLocation,
+    body: c.body,
+    ...extractTimestamps(c.createdAt),
+    edited: isEdited(c),
+    reactions: extractReactions(c),
+    media: extractMedia(c),
+    phones,
+    links,
+    businesses: extractBusinesses(c),
+    contacts: extractTextContacts(c.body, phones),
+    level: level,
+    replies: []
+  };
+
+  // Check for nested replies - common field names in GraphQL schemas
+  const repliesData = findRepliesConnection(c)?.edges || [];
+
+  // Recursively extract nested replies
+  if (repliesData.length > 0) {
+    log('DEBUG', `Found ${repliesData.length} nested replies at level ${level}`);
+    for (const replyEdge of repliesData) {
+      const nestedComment = extractCommentWithReplies(replyEdge.node, level + 1);
+      if (nestedComment) {
+        comment.replies.push(nestedComment);
+      }
+    }
+  }
+
+  return comment;
+}
+
+/**
+ * Finds the nested-replies connection on a raw comment
+ * Tries multiple possible field names for nested comments
+ * @param {Object} c - Raw comment from the GraphQL response
+ * @returns {Object|null} - Connection with edges (and pageInfo when paged)
+ */
+function findRepliesConnection(c) {
+  for (const field of REPLY_FIELDS) {
+    const container = c?.[field];
+    if (container?.pagedComments?.edges) return container.pagedComments;
+    if (container?.edges) return container;
+  }
+  return null;
+}
+
+/**
+ * Extracts all comments (top-level and nested) from a post
+ * @param {Object} post - The post object from GraphQL response
+ * @returns {Array} - Array of comment objects with nested replies
+ */
+function extractAllComments(post) {
+  const topLevelEdges = post.comments?.pagedComments?.edges || [];
+  const comments = [];
 
   for (const edge of topLevelEdges) {
     const comment = extractCommentWithReplies(edge.node, 0);
@@ -540,6 +1330,262 @@ function countAllComments(comments) {
   return count;
 }
 
+// ============================================================================
+// Schema Diagnostics - detect when Nextdoor's response shapes drift
+// ============================================================================
+
+const SEARCH_RESULT_PATH = 'data.searchPostFeed.searchResultView[]';
+const COMMENT_PATH = 'data.feedItem.post.comments.pagedComments.edges[].node.comment';
+
+// Response fields the extension depends on. Any one of `paths` satisfies a dependency.
+// Required ones must be in every response; the rest only show up on some posts,
+// so they're judged across all samples.
+const SCHEMA_DEPENDENCIES = {
+  searchPost: [
+    { name: 'Search result views', paths: [SEARCH_RESULT_PATH], required: true },
+    { name: 'Result post URLs', paths: [`${SEARCH_RESULT_PATH}.searchResultItems.edges[].node.url`] },
+    {
+      name: 'Next page cursor',
+      paths: [
+        `${SEARCH_RESULT_PATH}.searchResultItems.pageInfo.endCursor`,
+        `${SEARCH_RESULT_PATH}.nextPage`,
+        'data.searchPostFeed.nextPage'
+      ]
+    }
+  ],
+  feedItem: [
+    { name: 'Post', paths: ['data.feedItem.post'], required: true },
+    { name: 'Post body', paths: ['data.feedItem.post.body'], required: true },
+    { name: 'Post subject', paths: ['data.feedItem.post.subject'] },
+    { name: 'Post author', paths: ['data.feedItem.post.author.displayName'] },
+    { name: 'Post date', paths: ['data.feedItem.post.createdAt.asDateTime.relativeTime'] },
+    { name: 'Comments', paths: [`${COMMENT_PATH}.body`] },
+    { name: 'Comment author', paths: [`${COMMENT_PATH}.author.displayName`] },
+    { name: 'Comment date', paths: [`${COMMENT_PATH}.createdAt.asDateTime.relativeTime`] },
+    { name: 'Nested replies', paths: REPLY_FIELDS.map(f => `${COMMENT_PATH}.${f}`) }
+  ]
+};
+// Samples needed before an unseen optional field or baseline path counts as drift
+const MIN_SCHEMA_SAMPLES = 5;
+// A path missing from this many of the latest responses may have been dropped...
+const RECENT_SCHEMA_WINDOW = 10;
+// ...unless it's rare anyway (replies, photos) - then allow this many of its usual gaps
+const RARE_PATH_GAP_FACTOR = 3;
+// Keep the walk cheap on large responses
+const SCHEMA_MAX_DEPTH = 14;
+const SCHEMA_ARRAY_SAMPLE = 5;
+// Paths listed per category in the report
+const SCHEMA_REPORT_PATH_LIMIT = 50;
+
+let schemaPersistTimer = null;
+
+/**
+ * Collects the key paths of a response, arrays collapsed to "[]"
+ * ("data.feedItem.post.comments.pagedComments.edges[].node"). A key holding
+ * null counts as absent - a field Nextdoor stopped filling in reads as null.
+ */
+function collectShapePaths(value, prefix = '', paths = new Set(), depth = 0) {
+  if (depth > SCHEMA_MAX_DEPTH || value === null || typeof value !== 'object') return paths;
+
+  if (Array.isArray(value)) {
+    const arrayPath = `${prefix}[]`;
+    paths.add(arrayPath);
+    for (const item of value.slice(0, SCHEMA_ARRAY_SAMPLE)) {
+      collectShapePaths(item, arrayPath, paths, depth + 1);
+    }
+    return paths;
+  }
+
+  for (const [key, child] of Object.entries(value)) {
+    if (child === null || child === undefined) continue;
+    const path = prefix ? `${prefix}.${key}` : key;
+    paths.add(path);
+    collectShapePaths(child, path, paths, depth + 1);
+  }
+  return paths;
+}
+
+/**
+ * Records the shape of a successful searchPost or FeedItem response
+ * @param {string} operation - 'searchPost' or 'feedItem'
+ * @param {Object} response - The GraphQL response body
+ */
+function recordResponseShape(operation, response) {
+  if (!response?.data || response.errors) return;
+
+  const hash = state.captured[operation]?.hash || null;
+  let observation = state.schemaObservations[operation];
+  // A new persisted query means a new shape - start over, but keep the baseline to compare against
+  if (!observation || observation.hash !== hash) {
+    observation = { hash, samples: 0, paths: new Map(), requiredMissing: {}, firstSampleAt: Date.now() };
+    state.schemaObservations[operation] = observation;
+  }
+
+  const paths = collectShapePaths(response);
+  observation.samples++;
+  observation.lastSampleAt = Date.now();
+  for (const path of paths) {
+    const seen = observation.paths.get(path) || { count: 0 };
+    observation.paths.set(path, { count: seen.count + 1, lastSample: observation.samples, lastSeenAt: observation.lastSampleAt });
+  }
+
+  for (const dep of SCHEMA_DEPENDENCIES[operation].filter(d => d.required)) {
+    if (!dep.paths.some(p => paths.has(p))) {
+      observation.requiredMissing[dep.name] = (observation.requiredMissing[dep.name] || 0) + 1;
+    }
+  }
+
+  schedulePersistObservations();
+}
+
+// Responses arrive in bursts during a deep search - write once things settle
+function schedulePersistObservations() {
+  if (schemaPersistTimer) return;
+  schemaPersistTimer = setTimeout(() => {
+    schemaPersistTimer = null;
+    const stored = {};
+    for (const [operation, observation] of Object.entries(state.schemaObservations)) {
+      stored[operation] = { ...observation, paths: Object.fromEntries(observation.paths) };
+    }
+    browser.storage.local.set({ schemaObservations: stored });
+  }, 5000);
+}
+
+function loadSchemaState(data) {
+  state.expectedSchema = data.expectedSchema || {};
+  for (const [operation, observation] of Object.entries(data.schemaObservations || {})) {
+    // Earlier versions stored a plain list of every path ever seen - treat those as seen just now
+    const paths = Array.isArray(observation.paths)
+      ? observation.paths.map(path => [path, { count: observation.samples, lastSample: observation.samples, lastSeenAt: observation.lastSampleAt }])
+      : Object.entries(observation.paths || {});
+    state.schemaObservations[operation] = { ...observation, paths: new Map(paths) };
+  }
+}
+
+/**
+ * Whether a path that used to appear has stopped showing up
+ * @param {Object} seen - { count, lastSample } for the path
+ * @param {number} samples - Responses recorded so far
+ */
+function isPathGone(seen, samples) {
+  const gap = samples - seen.lastSample;
+  if (gap < RECENT_SCHEMA_WINDOW) return false;
+  const usualGap = seen.lastSample / seen.count;
+  return gap > usualGap * RARE_PATH_GAP_FACTOR;
+}
+
+// Paths still showing up in recent responses
+function getLivePaths(observation) {
+  const live = new Set();
+  for (const [path, seen] of observation?.paths || []) {
+    if (!isPathGone(seen, observation.samples)) live.add(path);
+  }
+  return live;
+}
+
+// Where a missing field's key shows up now, if anywhere
+function findMovedPaths(dep, observedPaths) {
+  const leaves = dep.paths.map(p => p.split('.').pop());
+  return [...observedPaths].filter(p => leaves.some(leaf => p === leaf || p.endsWith(`.${leaf}`))).slice(0, 3);
+}
+
+/**
+ * Compares what has been observed with the dependencies and the stored expected schema
+ * @returns {Object} - Diagnostics report; `issues` lists errors and warnings
+ */
+function getSchemaReport() {
+  const operations = {};
+  const issues = [];
+
+  for (const [operation, dependencies] of Object.entries(SCHEMA_DEPENDENCIES)) {
+    const observation = state.schemaObservations[operation];
+    const expected = state.expectedSchema[operation];
+    const observed = getLivePaths(observation);
+    const samples = observation?.samples || 0;
+    const settled = samples >= MIN_SCHEMA_SAMPLES;
+    // Seen earlier under this query hash, missing from the latest responses
+    const gonePaths = [...(observation?.paths || [])]
+      .filter(([, seen]) => isPathGone(seen, samples))
+      .map(([path, seen]) => ({ path, lastSeenAt: seen.lastSeenAt }));
+
+    const dependencyStatus = dependencies.map(dep => {
+      const foundAt = dep.paths.find(p => observed.has(p)) || null;
+      const missingCount = observation?.requiredMissing?.[dep.name] || 0;
+      let status = 'ok';
+      if (dep.required && missingCount > 0) status = 'missing';
+      else if (!foundAt) status = settled ? 'missing' : 'not_seen';
+
+      const entry = { name: dep.name, required: !!dep.required, status, foundAt };
+      if (status === 'missing') {
+        entry.movedTo = findMovedPaths(dep, observed);
+        const where = entry.movedTo.length > 0 ? ` - possibly moved to ${entry.movedTo.join(', ')}` : '';
+        const detail = dep.required ? `missing from ${missingCount} of ${samples} responses` : `not seen in ${samples} responses`;
+        issues.push({
+          operation,
+          severity: dep.required ? 'error' : 'warning',
+          message: `${dep.name} (${dep.paths[0]}) ${detail}${where}`
+        });
+      }
+      return entry;
+    });
+
+    const missingPaths = settled && expected ? expected.paths.filter(p => !observed.has(p)) : [];
+    const baselinePaths = new Set(expected?.paths || []);
+    const newPaths = expected ? [...observed].filter(p => !baselinePaths.has(p)) : [];
+    const hashChanged = !!(expected && observation && expected.hash !== observation.hash);
+
+    // Without a baseline, fields that vanished under the same query hash are the only drift signal
+    if (!expected && gonePaths.length > 0) {
+      issues.push({
+        operation,
+        severity: 'warning',
+        message: `${gonePaths.length} field(s) missing from the last ${RECENT_SCHEMA_WINDOW}+ responses`
+      });
+    }
+
+    if (missingPaths.length > 0) {
+      issues.push({
+        operation,
+        severity: 'warning',
+        message: `${missingPaths.length} field(s) from the expected schema no longer seen` + (hashChanged ? ' (Nextdoor changed this query)' : '')
+      });
+    }
+
+    operations[operation] = {
+      templateHash: observation?.hash || null,
+      expectedHash: expected?.hash || null,
+      hashChanged,
+      samples,
+      firstSampleAt: observation?.firstSampleAt || null,
+      lastSampleAt: observation?.lastSampleAt || null,
+      expectedSince: expected?.acceptedAt || null,
+      dependencies: dependencyStatus,
+      missingPaths: missingPaths.slice(0, SCHEMA_REPORT_PATH_LIMIT),
+      gonePaths: gonePaths.slice(0, SCHEMA_REPORT_PATH_LIMIT),
+      newPaths: newPaths.slice(0, SCHEMA_REPORT_PATH_LIMIT)
+    };
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    extensionVersion: browser.runtime.getManifest().version,
+    userAgent: navigator.userAgent,
+    operations,
+    issues
+  };
+}
+
+// The user confirmed the current shapes are fine - compare against them from now on
+async function acceptSchemaBaseline() {
+  for (const [operation, observation] of Object.entries(state.schemaObservations)) {
+    if (observation.samples > 0) {
+      state.expectedSchema[operation] = { hash: observation.hash, paths: [...getLivePaths(observation)], acceptedAt: Date.now() };
+    }
+  }
+  await browser.storage.local.set({ expectedSchema: state.expectedSchema });
+  log('INFO', 'Schema baseline replaced with current observations');
+}
+
 // ============================================================================
 // Search Orchestration
 // ============================================================================
@@ -582,10 +1628,23 @@ function sendToAnalysis(message) {
   }
 }
 
-async function startSearch(sender) {
-  log('INFO', 'startSearch: Beginning search...');
+/**
+ * Runs a deep search: searchPost pages for each query, then every distinct
+ * thread through FeedItem. Progress is checkpointed to storage so an
+ * interrupted run can be resumed.
+ * @param {Object} sender - Message sender (unused)
+ * @param {Object} options - { queries, filters, forceRefresh, checkpoint }
+ *   queries: list of phrasings to run and merge (defaults to the page's query)
+ *   filters: { scope, dateRange, sort } mapped onto postSearchArgs
+ *   forceRefresh: refetch every thread even if the cache has a fresh copy
+ *   checkpoint: stored checkpoint to resume from
+ */
+async function startSearch(sender, { queries = null, filters = null, forceRefresh = false, feed = null, checkpoint = null } = {}) {
+  log('INFO', checkpoint ? 'startSearch: Resuming interrupted search...' : 'startSearch: Beginning search...');
   state.isRunning = true;
-  state.progress = { current: 0, total: 0, errors: 0 };
+  state.searchControl = createSearchControl();
+  state.progress = { phase: 'searching', current: 0, total: 0, errors: 0, pages: 0, found: 0, cached: 0, queryIndex: 0, queryCount: 1 };
+  const control = state.searchControl;
 
   // Clear chat history at the START of a new search (not just when analysis starts)
   // This ensures the results page doesn't load stale chat from previous searches
@@ -594,10 +1653,24 @@ async function startSearch(sender) {
 
   updateBadge();
 
+  if (checkpoint?.feed) {
+    feed = checkpoint.feed;
+  }
+
   // Check templates
-  if (!state.captured.searchPost) {
+  if (feed && !state.captured.mainFeed) {
+    log('ERROR', 'startSearch: No main feed template captured');
+    state.isRunning = false;
+    state.searchControl = null;
+    updateBadge();
+    sendToPopup({ type: 'ERROR', data: { message: 'No feed template. Scroll your Nextdoor home feed first.' } });
+    return;
+  }
+
+  if (!feed && !state.captured.searchPost) {
     log('ERROR', 'startSearch: No searchPost template captured');
     state.isRunning = false;
+    state.searchControl = null;
     updateBadge();
     sendToPopup({ type: 'ERROR', data: { message: 'No searchPost template. Perform a search on Nextdoor first.' } });
     return;
@@ -606,133 +1679,184 @@ async function startSearch(sender) {
   if (!state.captured.feedItem) {
     log('ERROR', 'startSearch: No FeedItem template captured');
     state.isRunning = false;
+    state.searchControl = null;
     updateBadge();
     sendToPopup({ type: 'ERROR', data: { message: 'No FeedItem template. Click on a post on Nextdoor first.' } });
     return;
   }
 
   try {
-    // Get active tab to send message to content script
-    const tabs = await browser.tabs.query({ active: true, currentWindow: true });
-    if (tabs.length === 0) {
-      throw new Error('No active tab found');
-    }
-    const tabId = tabs[0].id;
-
-    // Step 1: Execute search to get post IDs
-    const searchTemplate = state.captured.searchPost;
-
-    // Determine query: prefer current (from URL) > last captured > template payload
-    const query = state.currentQuery || state.lastQuery || searchTemplate.payload?.variables?.postSearchArgs?.query;
-    if (!query) {
-      throw new Error('No search query available. Perform a search on Nextdoor first.');
+    let tabId;
+    let queryList;
+
+    if (checkpoint) {
+      // The original tab may be gone after a restart - any Nextdoor tab will do
+      tabId = await findNextdoorTabId();
+      // Checkpoints from before batch queries only carry the single query
+      queryList = checkpoint.queries || [checkpoint.query];
+      filters = checkpoint.filters || null;
+      forceRefresh = !!checkpoint.forceRefresh;
+    } else if (feed) {
+      tabId = await findNextdoorTabId();
+      queryList = [];
+    } else {
+      // Get active tab to send message to content script
+      const tabs = await browser.tabs.query({ active: true, currentWindow: true });
+      if (tabs.length === 0) {
+        throw new Error('No active tab found');
+      }
+      tabId = tabs[0].id;
+
+      queryList = normalizeQueries(queries);
+      if (queryList.length === 0) {
+        // Determine query: prefer current (from URL) > last captured > template payload
+        const searchTemplate = state.captured.searchPost;
+        const fallback = state.currentQuery || state.lastQuery || searchTemplate.payload?.variables?.postSearchArgs?.query;
+        if (!fallback) {
+          throw new Error('No search query available. Perform a search on Nextdoor first.');
+        }
+        queryList = [fallback];
+      }
     }
 
-    // Clone payload and update query
-    const searchPayload = JSON.parse(JSON.stringify(searchTemplate.payload));
-    if (searchPayload.variables?.postSearchArgs) {
-      searchPayload.variables.postSearchArgs.query = query;
-    }
+    // Display label for the whole batch (single searches keep their plain query)
+    const query = feed ? getFeedLabel(feed) : queryList.join(', ');
+    const startedAt = checkpoint?.startedAt || Date.now();
+    const searchConfig = await getSearchConfig();
 
-    log('INFO', 'startSearch: Sending searchPost for query:', query);
+    // Step 1: Execute search to get post IDs (skipped if the checkpoint got past it)
+    let postIds;
+    let pages;
+    let matches;
 
-    const searchResponse = await browser.tabs.sendMessage(tabId, {
-      type: 'FETCH_SEARCH',
-      headers: searchTemplate.headers,
-      payload: searchPayload
-    });
+    if (checkpoint?.phase === 'fetching') {
+      ({ postIds, pages, matches } = checkpoint);
+    } else if (feed) {
+      log('INFO', 'startSearch: Crawling the main feed:', JSON.stringify(feed));
 
-    if (!searchResponse.success) {
-      throw new Error('Search failed: ' + searchResponse.error);
-    }
+      state.progress.phase = 'searching';
+      state.progress.source = 'feed';
+      sendToPopup({ type: 'PROGRESS', data: state.progress });
+      saveCheckpoint({ phase: 'searching', query, queries: queryList, feed, forceRefresh, startedAt });
+
+      ({ postIds, pages } = await crawlFeedPostIds(tabId, feed, {
+        control,
+        onPage: ({ pages: pageCount, found }) => {
+          state.progress.pages = pageCount;
+          state.progress.found = found;
+          sendToPopup({ type: 'PROGRESS', data: state.progress });
+        }
+      }));
+      matches = {};
+    } else {
+      log('INFO', 'startSearch: Sending searchPost for queries:', queryList);
 
-    // Extract post IDs from search results
-    const searchResultView = searchResponse.data?.data?.searchPostFeed?.searchResultView || [];
-    const postView = searchResultView.find(v => v.type === 'POST') || searchResultView[0];
-    const edges = postView?.searchResultItems?.edges || [];
+      state.progress.phase = 'searching';
+      state.progress.queryCount = queryList.length;
+      sendToPopup({ type: 'PROGRESS', data: state.progress });
 
-    const postIds = [];
-    for (const edge of edges) {
-      const url = edge?.node?.url;
-      if (url) {
-        const match = url.match(/\/p\/([^?/]+)/);
-        if (match) {
-          postIds.push(match[1]);
+      ({ postIds, pages, matches } = await searchAllQueries(tabId, queryList, {
+        maxThreads: searchConfig.maxThreads,
+        filters,
+        control,
+        resumeFrom: checkpoint?.queryResults,
+        onQueryPage: (queryResults, queryIndex) => {
+          const found = Math.min(new Set(queryResults.flatMap(r => r.postIds)).size, searchConfig.maxThreads);
+          state.progress.queryIndex = queryIndex;
+          state.progress.pages = queryResults.reduce((sum, r) => sum + r.pages, 0);
+          state.progress.found = found;
+          sendToPopup({ type: 'PROGRESS', data: state.progress });
+          saveCheckpoint({ phase: 'searching', query, queries: queryList, filters, forceRefresh, startedAt, queryResults });
         }
-      }
+      }));
     }
 
-    log('INFO', 'startSearch: Found', postIds.length, 'posts');
+    log('INFO', 'startSearch: Found', postIds.length, 'posts across', pages, 'page(s)');
 
-    if (postIds.length === 0) {
-      sendToPopup({ type: 'COMPLETE', data: { query, threads: 0, comments: 0, errors: 0 } });
+    if (postIds.length === 0 || control.cancelled) {
+      log('INFO', control.cancelled ? 'startSearch: Cancelled before fetching threads' : 'startSearch: No posts found');
+      await clearCheckpoint();
+      sendToPopup({ type: 'COMPLETE', data: { query, threads: 0, comments: 0, errors: 0, pages, cancelled: control.cancelled } });
       state.isRunning = false;
+      state.searchControl = null;
       updateBadge();
       return;
     }
 
-    // Step 2: Fetch each thread's details
-    const feedItemTemplate = state.captured.feedItem;
-    const threads = [];
-    const errors = [];
-    let totalComments = 0;
+    // Step 2: Fetch each thread's details, skipping any the checkpoint already has.
+    // Checkpoints list the settled post IDs; the threads themselves are in the thread cache.
+    const fetched = new Map((checkpoint?.threads || []).map(t => [t.postId, t]));
+    for (const [postId, thread] of await getCheckpointThreads(checkpoint?.fetchedIds || [])) {
+      fetched.set(postId, thread);
+    }
+    // Deleted posts stay deleted; every other failure gets another try on resume
+    const errors = (checkpoint?.errors || []).filter(e => e.kind === 'not_found');
+    const settled = new Set(errors.map(e => e.postId));
+    const unfetchedIds = postIds.filter(id => !fetched.has(id) && !settled.has(id));
+
+    // Threads fetched recently by another search or tool call come from the cache
+    const cached = await getCachedThreads(unfetchedIds, { forceRefresh, ttlHours: searchConfig.cacheTtlHours });
+    for (const [postId, thread] of cached) {
+      fetched.set(postId, thread);
+    }
+    const remainingIds = unfetchedIds.filter(id => !cached.has(id));
+    log('INFO', `startSearch: ${cached.size} cache hits, ${remainingIds.length} threads to fetch`);
+
+    const writeFetchCheckpoint = () => saveCheckpoint({
+      phase: 'fetching', query, queries: queryList, filters, feed, forceRefresh, startedAt, postIds, pages, matches,
+      fetchedIds: [...fetched.keys()], errors
+    });
+    await writeFetchCheckpoint();
 
+    state.progress.phase = 'fetching';
     state.progress.total = postIds.length;
+    state.progress.current = postIds.length - remainingIds.length;
+    state.progress.errors = errors.length;
+    state.progress.cached = cached.size;
     sendToPopup({ type: 'PROGRESS', data: state.progress });
 
-    for (let i = 0; i < postIds.length; i++) {
-      const postId = postIds[i];
-
-      try {
-        // Clone payload and update feedItemId
-        const payload = JSON.parse(JSON.stringify(feedItemTemplate.payload));
-        payload.variables.feedItemId = `sharedPost_${postId}`;
-
-        const response = await browser.tabs.sendMessage(tabId, {
-          type: 'FETCH_FEEDITEM',
-          postId: postId,
-          headers: feedItemTemplate.headers,
-          payload: payload
-        });
-
-        if (!response.success) {
-          log('ERROR', 'Failed to fetch post', postId, '-', response.error);
-          errors.push({ postId, error: response.error });
-          state.progress.errors++;
-        } else {
-          const post = response.data?.data?.feedItem?.post;
-          if (post) {
-            const comments = extractAllComments(post);
-            const commentCount = countAllComments(comments);
-            totalComments += commentCount;
-
-            threads.push({
-              postId,
-              url: `https://nextdoor.com/p/${postId}?view=detail`,
-              op: {
-                author: post.author?.displayName,
-                location: post.author?.originationNeighborhood?.displayLocation,
-                subject: post.subject,
-                body: post.body,
-                createdAt: post.createdAt?.asDateTime?.relativeTime
-              },
-              comments
-            });
-          }
+    const alreadyDone = state.progress.current;
+    const priorErrors = errors.length;
+    let sinceCheckpoint = 0;
+
+    const pooled = await fetchThreadsPooled(remainingIds, tabId, {
+      concurrency: searchConfig.concurrency,
+      control,
+      onResult: ({ thread }) => {
+        if (thread) fetched.set(thread.postId, thread);
+        if (++sinceCheckpoint >= CHECKPOINT_INTERVAL) {
+          sinceCheckpoint = 0;
+          writeFetchCheckpoint();
         }
-      } catch (err) {
-        errors.push({ postId, error: err.message });
-        state.progress.errors++;
+      },
+      onProgress: ({ current, errors: errorCount }) => {
+        state.progress.current = alreadyDone + current;
+        state.progress.errors = priorErrors + errorCount;
+        sendToPopup({ type: 'PROGRESS', data: state.progress });
       }
-
-      state.progress.current = i + 1;
-      sendToPopup({ type: 'PROGRESS', data: state.progress });
-
-      // Rate limit
-      if (i < postIds.length - 1) {
-        await new Promise(r => setTimeout(r, 150));
+    });
+    errors.push(...pooled.errors);
+
+    // Rebuild in search order - checkpointed and freshly fetched threads interleave
+    const threads = postIds
+      .map(id => fetched.get(id))
+      .filter(thread => thread && (!feed || isWithinFeedWindow(thread, feed, startedAt)))
+      .map(thread => ({ ...thread, matchedQueries: matches[thread.postId] || queryList }));
+    const totalComments = threads.reduce((sum, thread) => sum + countAllComments(thread.comments), 0);
+
+    // Step 3: Look up the businesses tagged in these threads
+    state.progress.phase = 'enriching';
+    state.progress.current = 0;
+    state.progress.total = 0;
+    sendToPopup({ type: 'PROGRESS', data: state.progress });
+    const providers = await enrichProviders(threads, tabId, {
+      control,
+      onProgress: ({ current, total }) => {
+        state.progress.current = current;
+        state.progress.total = total;
+        sendToPopup({ type: 'PROGRESS', data: state.progress });
       }
-    }
+    });
 
     // Update state
     state.sessionSearchCount++;
@@ -741,16 +1865,31 @@ async function startSearch(sender) {
       threads: threads.length,
       comments: totalComments,
       errors: errors.length,
+      pages,
+      cancelled: control.cancelled,
       completedAt: Date.now()
     };
 
-    // Save for results page
+    // Save for results page (a cancelled search keeps whatever was fetched so far)
     await browser.storage.local.set({
-      lastSearchData: { query, timestamp: Date.now(), threads }
+      lastSearchData: {
+        query,
+        queries: queryList,
+        filters,
+        source: feed ? 'feed' : 'search',
+        feed,
+        timestamp: Date.now(),
+        threads,
+        providers,
+        errors,
+        cancelled: control.cancelled,
+        postCount: postIds.length
+      }
     });
+    await clearCheckpoint();
 
     sendToPopup({ type: 'COMPLETE', data: state.lastResult });
-    log('INFO', 'startSearch: Complete -', threads.length, 'threads,', totalComments, 'comments');
+    log('INFO', `startSearch: ${control.cancelled ? 'Cancelled' : 'Complete'} -`, threads.length, 'threads,', totalComments, 'comments');
 
     // Open results page and store tab ID
     const resultsTab = await browser.tabs.create({
@@ -759,202 +1898,2214 @@ async function startSearch(sender) {
     state.resultsTabId = resultsTab.id;
 
   } catch (e) {
+    // The checkpoint is left in place so the popup can offer to resume
     log('ERROR', 'startSearch error:', e.message);
     sendToPopup({ type: 'ERROR', data: { message: 'Error: ' + e.message } });
   }
 
   state.isRunning = false;
+  state.searchControl = null;
   updateBadge();
 }
 
 // handleExtractedData and fetchAllThreads removed - startSearch now handles everything
 
 // ============================================================================
-// Tool-based Search (for LLM agent use)
+// Search Control - cancel, pause and resume a running deep search
 // ============================================================================
 
-async function executeSearch(query) {
-  return executeSearchWithProgress(query, null);
+// Fetch loops check the control between requests; in-flight requests finish normally
+function createSearchControl() {
+  return { cancelled: false, paused: false };
 }
 
-async function executeSearchWithProgress(query, onProgress) {
-  log('INFO', 'Executing tool search for:', query);
+function cancelSearch(control) {
+  control.cancelled = true;
+  control.paused = false;
+  log('INFO', 'Search cancel requested');
+}
 
-  if (!state.captured.searchPost) {
-    throw new Error('Missing searchPost template. Please perform a search on Nextdoor first.');
+function setSearchPaused(control, paused) {
+  if (control.cancelled) return;
+  control.paused = paused;
+  log('INFO', paused ? 'Search paused' : 'Search resumed');
+}
+
+async function waitWhilePaused(control) {
+  while (control?.paused && !control.cancelled) {
+    await new Promise(r => setTimeout(r, 200));
   }
+}
 
-  // Find a nextdoor.com tab (not necessarily active - could be on results page)
+// ============================================================================
+// Search Checkpoints - survive browser restarts and closed Nextdoor tabs
+// ============================================================================
+
+// Write the fetching checkpoint after this many threads settle
+const CHECKPOINT_INTERVAL = 5;
+
+/**
+ * Persists deep search progress. Never rejects - a failed write only costs
+ * resumability, so it is logged rather than ending the search. Shapes:
+ * - searching: { query, queries, startedAt, queryResults: [{ query, postIds, pages, cursor, done }] }
+ * - fetching:  { query, queries, startedAt, postIds, pages, matches, fetchedIds, errors }
+ *   (fetched threads are read back from the thread cache; older checkpoints carry `threads`)
+ */
+async function saveCheckpoint(checkpoint) {
+  const searchCheckpoint = { ...checkpoint, updatedAt: Date.now() };
+  state.interruptedSearch = summarizeCheckpoint(searchCheckpoint);
+  try {
+    await browser.storage.local.set({ searchCheckpoint });
+  } catch (e) {
+    log('WARN', 'Checkpoint save failed:', e.message);
+  }
+}
+
+async function loadCheckpoint() {
+  const data = await browser.storage.local.get('searchCheckpoint');
+  return data.searchCheckpoint || null;
+}
+
+async function clearCheckpoint() {
+  state.interruptedSearch = null;
+  await browser.storage.local.remove('searchCheckpoint');
+}
+
+// Small summary for the popup - the full checkpoint can hold hundreds of threads
+function summarizeCheckpoint(checkpoint) {
+  if (!checkpoint) return null;
+  return {
+    query: checkpoint.query,
+    phase: checkpoint.phase,
+    fetched: checkpoint.fetchedIds?.length ?? checkpoint.threads?.length ?? 0,
+    total: checkpoint.postIds?.length ||
+      new Set((checkpoint.queryResults || []).flatMap(r => r.postIds)).size,
+    updatedAt: checkpoint.updatedAt
+  };
+}
+
+async function resumeInterruptedSearch(sender) {
+  const checkpoint = await loadCheckpoint();
+  if (!checkpoint) {
+    throw new Error('No interrupted search to resume');
+  }
+  startSearch(sender, { checkpoint });
+}
+
+// ============================================================================
+// Incremental Refresh - update the stored result set in place
+// ============================================================================
+
+// Comment identity across fetches; older results predate comment IDs.
+// The relative date label drifts ("2 wk ago" -> "3 wk ago") so it can't be part of the key.
+function getCommentKey(comment) {
+  return comment.id || `${comment.author}|${(comment.body || '').substring(0, 80)}`;
+}
+
+function collectCommentKeys(comments, keys = new Set()) {
+  for (const comment of comments || []) {
+    keys.add(getCommentKey(comment));
+    collectCommentKeys(comment.replies, keys);
+  }
+  return keys;
+}
+
+/**
+ * Flags comments missing from the previous copy of a thread
+ * @param {Array} comments - Freshly fetched comments (modified in place)
+ * @param {Set} knownKeys - Comment keys from the previous copy
+ * @param {number} newSince - Timestamp the markers refer to
+ * @returns {number} - How many comments were flagged
+ */
+function markNewComments(comments, knownKeys, newSince) {
+  let count = 0;
+  for (const comment of comments || []) {
+    if (!knownKeys.has(getCommentKey(comment))) {
+      comment.newSince = newSince;
+      count++;
+    }
+    count += markNewComments(comment.replies, knownKeys, newSince);
+  }
+  return count;
+}
+
+// Markers only describe the latest refresh - drop the ones from earlier refreshes
+function clearNewMarkers(thread) {
+  const stripComments = (comments) => (comments || []).map(({ newSince, ...comment }) => ({
+    ...comment,
+    replies: stripComments(comment.replies)
+  }));
+  const { newSince, newCommentsSince, newCommentCount, ...rest } = thread;
+  return { ...rest, comments: stripComments(thread.comments) };
+}
+
+/**
+ * Re-runs the stored queries and merges new threads, plus threads whose comment
+ * count changed, into lastSearchData. Threads the search no longer returns are kept.
+ * Progress goes to the results page over the analysis port.
+ * @returns {Object} - { newThreads, updatedThreads, newComments, refreshedAt }
+ */
+async function refreshLastSearch() {
+  const { lastSearchData: previous } = await browser.storage.local.get('lastSearchData');
+  if (!previous?.threads) {
+    throw new Error('No results to refresh. Run a Deep Search first.');
+  }
+  const isFeed = previous.source === 'feed';
+  if (isFeed ? !state.captured.mainFeed : !state.captured.searchPost) {
+    throw new Error(isFeed
+      ? 'Missing feed template. Scroll your Nextdoor home feed first.'
+      : 'Missing request templates. Search on Nextdoor and open a post first.');
+  }
+  if (!state.captured.feedItem) {
+    throw new Error('Missing request templates. Search on Nextdoor and open a post first.');
+  }
+
+  const tabId = await findNextdoorTabId();
+  const queries = isFeed ? [] : (previous.queries || [previous.query]);
+  const newSince = previous.timestamp;
+
+  state.isRunning = true;
+  state.searchControl = createSearchControl();
+  updateBadge();
+
+  try {
+    const searchConfig = await getSearchConfig();
+    sendToAnalysis({ type: 'REFRESH_PROGRESS', data: { message: 'Searching Nextdoor...' } });
+
+    const { postIds, matches = {}, commentCounts } = isFeed
+      ? await crawlFeedPostIds(tabId, previous.feed, {
+        control: state.searchControl,
+        onPage: ({ found }) => {
+          sendToAnalysis({ type: 'REFRESH_PROGRESS', data: { message: `Crawling the feed... ${found} posts` } });
+        }
+      })
+      : await searchAllQueries(tabId, queries, {
+        maxThreads: searchConfig.maxThreads,
+        filters: previous.filters || null,
+        control: state.searchControl,
+        onQueryPage: (queryResults) => {
+          const found = Math.min(new Set(queryResults.flatMap(r => r.postIds)).size, searchConfig.maxThreads);
+          sendToAnalysis({ type: 'REFRESH_PROGRESS', data: { message: `Searching Nextdoor... ${found} posts` } });
+        }
+      });
+
+    // Only refetch what could have changed. A search result without a comment
+    // count gives no way to tell, so that thread is refetched too.
+    const existing = new Map(previous.threads.map(t => [t.postId, t]));
+    const toFetch = postIds.filter(postId => {
+      const old = existing.get(postId);
+      if (!old) return true;
+      const apiCount = commentCounts[postId];
+      const storedCount = old.commentCountExpected ?? countAllComments(old.comments);
+      return apiCount === undefined || apiCount !== storedCount;
+    });
+    log('INFO', `refreshLastSearch: ${postIds.length} posts, ${toFetch.length} new or changed`);
+
+    const { threads: fetchedThreads, errors: fetchErrors } = await fetchThreadsPooled(toFetch, tabId, {
+      concurrency: searchConfig.concurrency,
+      control: state.searchControl,
+      onProgress: ({ current, total }) => {
+        sendToAnalysis({ type: 'REFRESH_PROGRESS', data: { message: `Fetching ${current}/${total} new or changed threads` } });
+      }
+    });
+
+    let newThreads = 0;
+    let updatedThreads = 0;
+    let newComments = 0;
+    const merged = new Map([...existing].map(([postId, thread]) => [postId, clearNewMarkers(thread)]));
+
+    for (const thread of fetchedThreads) {
+      const old = existing.get(thread.postId);
+      const matchedQueries = [...new Set([...(old?.matchedQueries || []), ...(matches[thread.postId] || [])])];
+
+      if (!old) {
+        merged.set(thread.postId, { ...thread, matchedQueries, newSince });
+        newThreads++;
+        continue;
+      }
+
+      const added = markNewComments(thread.comments, collectCommentKeys(old.comments), newSince);
+      merged.set(thread.postId, added > 0
+        ? { ...thread, matchedQueries, newCommentsSince: newSince, newCommentCount: added }
+        : { ...thread, matchedQueries });
+      if (added > 0) {
+        updatedThreads++;
+        newComments += added;
+      }
+    }
+
+    // Earlier failures stay listed unless this refresh fetched the thread
+    const fetchedIds = new Set(fetchedThreads.map(t => t.postId));
+    const errors = [
+      ...(previous.errors || []).filter(e => !fetchedIds.has(e.postId) && !fetchErrors.some(f => f.postId === e.postId)),
+      ...fetchErrors
+    ];
+
+    const threads = [...merged.values()];
+    sendToAnalysis({ type: 'REFRESH_PROGRESS', data: { message: 'Looking up tagged businesses...' } });
+    const providers = await enrichProviders(threads, tabId, { previous: previous.providers, control: state.searchControl });
+
+    const refreshedAt = Date.now();
+    await browser.storage.local.set({
+      lastSearchData: {
+        ...previous,
+        timestamp: refreshedAt,
+        previousTimestamp: newSince,
+        threads,
+        providers,
+        errors,
+        cancelled: false,
+        postCount: threads.length
+      }
+    });
+
+    log('INFO', `refreshLastSearch: ${newThreads} new threads, ${updatedThreads} threads with ${newComments} new comments`);
+    return { newThreads, updatedThreads, newComments, refreshedAt };
+  } finally {
+    state.isRunning = false;
+    state.searchControl = null;
+    updateBadge();
+  }
+}
+
+// ============================================================================
+// Search Pagination - follow the searchPost cursor across pages
+// ============================================================================
+
+// Default cap on threads collected by a deep search (overridable in options, 10-1000)
+const DEFAULT_MAX_THREADS = 200;
+const MIN_MAX_THREADS = 10;
+const MAX_MAX_THREADS = 1000;
+// Default number of FeedItem requests in flight at once (overridable in options, 1-6)
+const DEFAULT_CONCURRENCY = 3;
+const MAX_CONCURRENCY = 6;
+// Tool searches stay small so the LLM context doesn't explode
+const TOOL_SEARCH_MAX_THREADS = 10;
+// Safety stop in case Nextdoor keeps handing back a cursor
+const MAX_SEARCH_PAGES = 50;
+// Variable names Nextdoor has used for the searchPost page cursor
+const SEARCH_CURSOR_FIELDS = ['nextPage', 'after', 'cursor', 'pageCursor'];
+
+async function getSearchConfig() {
+  const data = await browser.storage.local.get('searchConfig');
+  const config = {
+    maxThreads: DEFAULT_MAX_THREADS,
+    concurrency: DEFAULT_CONCURRENCY,
+    cacheTtlHours: DEFAULT_CACHE_TTL_HOURS,
+    ...(data.searchConfig || {})
+  };
+  // Settings saved before the options page clamped them can be out of range
+  const maxThreads = parseInt(config.maxThreads, 10);
+  const cacheTtlHours = parseInt(config.cacheTtlHours, 10);
+  config.maxThreads = Number.isNaN(maxThreads) ? DEFAULT_MAX_THREADS : Math.min(MAX_MAX_THREADS, Math.max(MIN_MAX_THREADS, maxThreads));
+  config.cacheTtlHours = Number.isNaN(cacheTtlHours) ? DEFAULT_CACHE_TTL_HOURS : Math.min(MAX_CACHE_TTL_HOURS, Math.max(0, cacheTtlHours));
+  return config;
+}
+
+/**
+ * Extracts post IDs from one searchPost response
+ * @param {Object} searchData - The searchPost GraphQL response
+ * @returns {Object} - { postIds, postView, commentCounts } for the POST result view
+ *   commentCounts only has entries for results that carry a count
+ */
+function extractSearchPage(searchData) {
+  const searchResultView = searchData?.data?.searchPostFeed?.searchResultView || [];
+  const postView = searchResultView.find(v => v.type === 'POST') || searchResultView[0];
+  const edges = postView?.searchResultItems?.edges || [];
+
+  const postIds = [];
+  const commentCounts = {};
+  for (const edge of edges) {
+    const url = edge?.node?.url;
+    if (url) {
+      const match = url.match(/\/p\/([^?/]+)/);
+      if (match) {
+        postIds.push(match[1]);
+        const count = getApiCommentCount(edge.node);
+        if (count !== null) commentCounts[match[1]] = count;
+      }
+    }
+  }
+
+  return { postIds, postView, commentCounts };
+}
+
+/**
+ * Finds the cursor for the next searchPost page
+ * @param {Object} searchData - The searchPost GraphQL response
+ * @param {Object} postView - The POST result view from that response
+ * @returns {string|null} - Cursor for the next page, or null when exhausted
+ */
+function getNextSearchCursor(searchData, postView) {
+  const pageInfo = postView?.searchResultItems?.pageInfo;
+  if (pageInfo) {
+    return pageInfo.hasNextPage === false ? null : (pageInfo.endCursor || null);
+  }
+  return postView?.nextPage || searchData?.data?.searchPostFeed?.nextPage || null;
+}
+
+/**
+ * Writes a page cursor into a searchPost payload, reusing whichever cursor
+ * variable the captured template already carries
+ */
+function applySearchCursor(payload, cursor) {
+  const args = payload.variables.postSearchArgs;
+  const argsField = SEARCH_CURSOR_FIELDS.find(f => f in args);
+  if (argsField) {
+    args[argsField] = cursor;
+    return;
+  }
+  const varsField = SEARCH_CURSOR_FIELDS.find(f => f in payload.variables);
+  if (varsField) {
+    payload.variables[varsField] = cursor;
+    return;
+  }
+  args.nextPage = cursor;
+}
+
+/**
+ * Runs searchPost for a query, following the page cursor until results run
+ * out or maxThreads post IDs have been collected
+ * @param {number} tabId - Nextdoor tab whose content script performs the fetch
+ * @param {string} query - Search query
+ * @param {Object} options - { maxThreads, filters, control, resumeFrom, onPage({ pages, found, postIds, cursor }) }
+ *   filters: { scope, dateRange, sort } - see applySearchFilters
+ *   resumeFrom continues a checkpointed run: { postIds, pages, cursor }
+ * @returns {Object} - { postIds, pages, commentCounts } (counts only for pages fetched in this call)
+ */
+async function fetchSearchPostIds(tabId, query, { maxThreads = DEFAULT_MAX_THREADS, filters = null, control = null, resumeFrom = null, onPage = null } = {}) {
+  const template = state.captured.searchPost;
+
+  // Clone payload and update query
+  const payload = JSON.parse(JSON.stringify(template.payload));
+  if (payload.variables?.postSearchArgs) {
+    payload.variables.postSearchArgs.query = query;
+    payload.variables.postSearchArgs.requestId = crypto.randomUUID();
+    payload.variables.postSearchArgs.clientContextId = crypto.randomUUID();
+
+    if (filters) {
+      const { applied, unsupported } = applySearchFilters(payload.variables.postSearchArgs, filters);
+      if (Object.keys(applied).length > 0) {
+        log('INFO', 'searchPost filters applied:', JSON.stringify(applied));
+      }
+      if (unsupported.length > 0) {
+        log('WARN', 'searchPost template has no variable for filters:', unsupported.join(', '));
+      }
+    }
+  }
+
+  const postIds = [...(resumeFrom?.postIds || [])];
+  const seen = new Set(postIds);
+  const commentCounts = {};
+  let pages = resumeFrom?.pages || 0;
+  let cursor = resumeFrom?.cursor || null;
+
+  // Checkpoint taken after the last page - nothing left to request
+  if (pages > 0 && !cursor) {
+    return { postIds: postIds.slice(0, maxThreads), pages, commentCounts };
+  }
+
+  do {
+    if (cursor) {
+      await waitWhilePaused(control);
+      if (control?.cancelled) break;
+      applySearchCursor(payload, cursor);
+      // Rate limit between pages
+      await new Promise(r => setTimeout(r, 150));
+    }
+
+    // Send to content script (main world fetch), retrying transient failures
+    const response = await sendGqlMessage(tabId, {
+      type: 'FETCH_GQL',
+      operation: template.operation,
+      headers: template.headers,
+      payload: payload
+    });
+
+    noteTemplateHealth('searchPost', response);
+    if (!response.success) {
+      throw new Error(`Search failed: ${response.error}`);
+    }
+
+    const searchData = response.data;
+    if (pages === 0) {
+      log('DEBUG', 'searchPost response:', JSON.stringify(searchData, null, 2).substring(0, 2000));
+    }
+    recordResponseShape('searchPost', searchData);
+
+    // Check for GraphQL errors
+    if (searchData.errors) {
+      log('ERROR', 'GraphQL errors:', searchData.errors);
+      throw new Error(`GraphQL error: ${searchData.errors[0]?.message || 'Unknown error'}`);
+    }
+
+    pages++;
+    const page = extractSearchPage(searchData);
+    Object.assign(commentCounts, page.commentCounts);
+
+    // A page with nothing new means the cursor is looping - stop there
+    let added = 0;
+    for (const postId of page.postIds) {
+      if (!seen.has(postId)) {
+        seen.add(postId);
+        postIds.push(postId);
+        added++;
+      }
+    }
+
+    log('INFO', `searchPost page ${pages}: ${page.postIds.length} results, ${added} new`);
+
+    cursor = added > 0 ? getNextSearchCursor(searchData, page.postView) : null;
+    if (postIds.length >= maxThreads) cursor = null;
+    if (onPage) onPage({ pages, found: postIds.length, postIds: [...postIds], cursor });
+  } while (cursor && postIds.length < maxThreads && pages < MAX_SEARCH_PAGES);
+
+  return { postIds: postIds.slice(0, maxThreads), pages, commentCounts };
+}
+
+// ============================================================================
+// Feed Crawl - page back through the neighborhood feed without a query
+// ============================================================================
+
+// Names (lowercased) of the home feed query - not FeedItem (a single post) or feed actions like HideFromFeed
+const FEED_OPERATION_NAMES = new Set([
+  'mainfeed', 'homefeed', 'newsfeed', 'neighborhoodfeed', 'feed',
+  'mainfeedquery', 'homefeedquery', 'newsfeedquery', 'neighborhoodfeedquery', 'feedquery'
+]);
+// Variable names that may carry the feed page cursor
+const FEED_CURSOR_FIELDS = ['nextPage', 'after', 'cursor', 'pageCursor', 'feedCursor'];
+// Fields on a feed item that may link to the post
+const FEED_URL_FIELDS = ['url', 'permalink', 'shareUrl', 'webUrl'];
+const DEFAULT_FEED_DAYS = 7;
+const DEFAULT_FEED_MAX_THREADS = 100;
+// Safety stop in case the feed keeps handing back a cursor
+const MAX_FEED_PAGES = 50;
+const FEED_SOURCE_LABEL = 'Neighborhood feed';
+
+function isFeedOperation(template) {
+  return FEED_OPERATION_NAMES.has(String(template.operation).toLowerCase()) && isReadOperation(template);
+}
+
+// Normalizes the popup's feed crawl options
+function normalizeFeedOptions(feed) {
+  const days = parseInt(feed?.days, 10);
+  const maxThreads = parseInt(feed?.maxThreads, 10);
+  return {
+    days: days > 0 ? days : null,
+    maxThreads: maxThreads > 0 ? maxThreads : DEFAULT_FEED_MAX_THREADS
+  };
+}
+
+function getFeedLabel(feed) {
+  return feed.days ? `${FEED_SOURCE_LABEL} (last ${feed.days} day${feed.days !== 1 ? 's' : ''})` : FEED_SOURCE_LABEL;
+}
+
+function getFeedPostId(node) {
+  for (const field of FEED_URL_FIELDS) {
+    const match = typeof node[field] === 'string' && node[field].match(/\/p\/([^?/#]+)/);
+    if (match) return match[1];
+  }
+  for (const field of ['feedItemId', 'id']) {
+    const match = typeof node[field] === 'string' && node[field].match(/^sharedPost_(.+)$/);
+    if (match) return match[1];
+  }
+  return null;
+}
+
+// Feed items come in whatever wrapper the feed uses - the first object naming a post is the item
+function collectFeedPosts(value, posts, depth = 0) {
+  if (!value || typeof value !== 'object' || depth > 12) return;
+  if (Array.isArray(value)) {
+    for (const item of value) collectFeedPosts(item, posts, depth + 1);
+    return;
+  }
+
+  const postId = getFeedPostId(value);
+  if (postId) {
+    const createdAt = value.createdAt ?? value.post?.createdAt;
+    posts.push({
+      postId,
+      createdAtIso: createdAt ? extractTimestamps(createdAt).createdAtIso : null,
+      commentCount: getApiCommentCount(value.post || value)
+    });
+    return;
+  }
+  for (const child of Object.values(value)) {
+    collectFeedPosts(child, posts, depth + 1);
+  }
+}
+
+// The first pageInfo (or nextPage) in the response decides whether there's another page
+function findFeedCursor(value, depth = 0) {
+  if (!value || typeof value !== 'object' || depth > 8) return undefined;
+  if (value.pageInfo && typeof value.pageInfo === 'object') {
+    return value.pageInfo.hasNextPage === false ? null : (value.pageInfo.endCursor || null);
+  }
+  if (typeof value.nextPage === 'string') return value.nextPage || null;
+  for (const child of Object.values(value)) {
+    const found = findFeedCursor(child, depth + 1);
+    if (found !== undefined) return found;
+  }
+  return undefined;
+}
+
+/**
+ * Pages back through the captured main feed operation until posts get older
+ * than the cutoff, maxThreads post IDs are collected or the feed runs out
+ * @param {number} tabId - Nextdoor tab whose content script performs the fetch
+ * @param {Object} feed - { days, maxThreads } from normalizeFeedOptions
+ * @param {Object} options - { control, onPage({ pages, found }) }
+ * @returns {Object} - { postIds, pages, commentCounts }
+ */
+async function crawlFeedPostIds(tabId, feed, { control = null, onPage = null } = {}) {
+  const template = state.captured.mainFeed;
+  const cutoff = feed.days ? Date.now() - feed.days * 24 * 60 * 60 * 1000 : null;
+
+  // Start from the top of the feed, wherever the user had scrolled to when it was captured
+  const payload = JSON.parse(JSON.stringify(template.payload));
+  const variables = payload.variables || (payload.variables = {});
+  // Without a cursor variable there is no way to ask for the next page
+  const canPage = setTemplateVariable(variables, FEED_CURSOR_FIELDS, null);
+  if (!canPage) {
+    log('WARN', `crawlFeedPostIds: ${template.operation} has no cursor variable - only the first page can be read`);
+  }
+
+  const postIds = [];
+  const seen = new Set();
+  const commentCounts = {};
+  let pages = 0;
+  let cursor = null;
+
+  do {
+    if (cursor) {
+      await waitWhilePaused(control);
+      if (control?.cancelled) break;
+      setTemplateVariable(variables, FEED_CURSOR_FIELDS, cursor);
+      // Rate limit between pages
+      await new Promise(r => setTimeout(r, 150));
+    }
+
+    const response = await sendGqlMessage(tabId, {
+      type: 'FETCH_GQL',
+      operation: template.operation,
+      headers: template.headers,
+      payload
+    });
+    if (!response.success) {
+      throw new Error(`Feed crawl failed: ${response.error}`);
+    }
+
+    pages++;
+    const posts = [];
+    collectFeedPosts(response.data?.data, posts);
+    if (pages === 1 && posts.length === 0) {
+      log('WARN', `crawlFeedPostIds: no posts recognized in ${template.operation} response`);
+    }
+
+    let added = 0;
+    let older = 0;
+    for (const post of posts) {
+      if (cutoff && post.createdAtIso && Date.parse(post.createdAtIso) < cutoff) {
+        older++;
+        continue;
+      }
+      if (seen.has(post.postId)) continue;
+      seen.add(post.postId);
+      postIds.push(post.postId);
+      if (post.commentCount !== null) commentCounts[post.postId] = post.commentCount;
+      added++;
+    }
+    log('INFO', `crawlFeedPostIds: page ${pages} - ${posts.length} items, ${added} new, ${older} past the cutoff`);
+    if (onPage) onPage({ pages, found: postIds.length });
+
+    // Pinned or boosted posts can be old - stop only once a whole page is past the cutoff
+    if (posts.length > 0 && older === posts.length) break;
+    // A page with nothing new means the cursor is looping - stop there
+    if (added === 0 && older === 0) break;
+
+    cursor = canPage ? findFeedCursor(response.data?.data) || null : null;
+  } while (cursor && postIds.length < feed.maxThreads && pages < MAX_FEED_PAGES);
+
+  return { postIds: postIds.slice(0, feed.maxThreads), pages, commentCounts };
+}
+
+// Feed items without a timestamp are only dated once their thread is fetched
+function isWithinFeedWindow(thread, feed, startedAt) {
+  if (!feed.days || !thread.op?.createdAtIso) return true;
+  return Date.parse(thread.op.createdAtIso) >= startedAt - feed.days * 24 * 60 * 60 * 1000;
+}
+
+// ============================================================================
+// Batch Queries - several phrasings merged into one result set
+// ============================================================================
+
+// Trim, drop blanks and case-insensitive duplicates, keep the user's order
+function normalizeQueries(queries) {
+  if (!Array.isArray(queries)) return [];
+  const seen = new Set();
+  const result = [];
+  for (const q of queries) {
+    const trimmed = typeof q === 'string' ? q.trim() : '';
+    if (trimmed && !seen.has(trimmed.toLowerCase())) {
+      seen.add(trimmed.toLowerCase());
+      result.push(trimmed);
+    }
+  }
+  return result;
+}
+
+/**
+ * Runs searchPost for each query in sequence and merges the post IDs
+ * @param {number} tabId - Nextdoor tab whose content script performs the fetch
+ * @param {Array} queries - Query phrasings, in order
+ * @param {Object} options - { maxThreads (for the merged result), filters, control, resumeFrom, onQueryPage(queryResults, queryIndex) }
+ *   resumeFrom is a checkpoint's queryResults array
+ * @returns {Object} - { postIds, pages, matches: { postId: [queries] }, commentCounts: { postId: count } }
+ */
+async function searchAllQueries(tabId, queries, { maxThreads, filters = null, control = null, resumeFrom = null, onQueryPage = null } = {}) {
+  const queryResults = queries.map((query, i) => resumeFrom?.[i] || { query, postIds: [], pages: 0, cursor: null, done: false });
+  const commentCounts = {};
+
+  for (let i = 0; i < queries.length; i++) {
+    if (control?.cancelled) break;
+    if (queryResults[i].done) continue;
+
+    const result = await fetchSearchPostIds(tabId, queries[i], {
+      maxThreads,
+      filters,
+      control,
+      resumeFrom: queryResults[i].pages > 0 ? queryResults[i] : null,
+      onPage: (page) => {
+        queryResults[i] = { query: queries[i], postIds: page.postIds, pages: page.pages, cursor: page.cursor, done: !page.cursor };
+        if (onQueryPage) onQueryPage(queryResults, i);
+      }
+    });
+
+    if (!control?.cancelled) {
+      queryResults[i] = { ...queryResults[i], postIds: result.postIds, pages: result.pages, cursor: null, done: true };
+    }
+    Object.assign(commentCounts, result.commentCounts);
+    log('INFO', `Query ${i + 1}/${queries.length} "${queries[i]}": ${result.postIds.length} posts`);
+  }
+
+  // Dedupe by postId, keeping first-seen order, and remember which queries matched
+  const postIds = [];
+  const matches = {};
+  for (const { query, postIds: ids } of queryResults) {
+    for (const postId of ids) {
+      if (!matches[postId]) {
+        matches[postId] = [];
+        postIds.push(postId);
+      }
+      matches[postId].push(query);
+    }
+  }
+
+  const pages = queryResults.reduce((sum, r) => sum + r.pages, 0);
+  // Max Threads per Deep Search covers the whole batch, not each phrasing
+  return { postIds: maxThreads ? postIds.slice(0, maxThreads) : postIds, pages, matches, commentCounts };
+}
+
+// ============================================================================
+// Search Filters - scope, date range and sort mapped onto postSearchArgs
+// ============================================================================
+
+// Popup filter options -> candidate postSearchArgs variables. Nextdoor's names
+// aren't documented, so each option lists the names seen so far. Values are only
+// ever taken from what captured templates actually carried - a guessed enum value
+// fails the whole search with a GraphQL validation error.
+const SEARCH_FILTER_OPTIONS = {
+  scope: {
+    fields: ['searchScope', 'scope', 'geoScope', 'locationScope'],
+    values: {
+      nearby: { pattern: /nearby|neighbo|local/i },
+      wider: { pattern: /wide|expand|region|all/i }
+    }
+  },
+  dateRange: {
+    fields: ['dateRange', 'timeRange', 'dateFilter', 'datePosted', 'postedWithin'],
+    // Timestamp-style variables take a cutoff instead of an enum
+    timestampFields: ['createdAfter', 'postedAfter', 'startDate', 'since'],
+    values: {
+      week: { pattern: /week|7/i, days: 7 },
+      month: { pattern: /month|30/i, days: 30 },
+      year: { pattern: /year|365/i, days: 365 }
+    }
+  },
+  sort: {
+    fields: ['sortBy', 'sort', 'sortOrder', 'orderBy', 'sortType'],
+    values: {
+      relevant: { pattern: /relev|best|top/i },
+      recent: { pattern: /recen|new|latest|date/i }
+    }
+  }
+};
+// Distinct values remembered per variable
+const MAX_OBSERVED_VALUES = 8;
+
+/**
+ * Records the postSearchArgs variables (and their values) seen in a captured
+ * searchPost. Shapes are kept per persisted-query hash, so a Nextdoor deploy
+ * that changes the query starts a fresh record.
+ * @param {Object} template - The captured searchPost template
+ */
+function recordSearchArgShapes(template) {
+  const args = template?.payload?.variables?.postSearchArgs;
+  if (!args) return;
+
+  if (state.searchArgShapes?.hash !== template.hash) {
+    state.searchArgShapes = { hash: template.hash, fields: {} };
+  }
+
+  const fields = state.searchArgShapes.fields;
+  for (const [name, value] of Object.entries(args)) {
+    const shape = fields[name] || { type: value === null ? 'null' : typeof value, values: [] };
+    if (value !== null && shape.type === 'null') shape.type = typeof value;
+    const isScalar = ['string', 'number', 'boolean'].includes(typeof value);
+    if (isScalar && !shape.values.includes(value) && shape.values.length < MAX_OBSERVED_VALUES) {
+      shape.values.push(value);
+    }
+    fields[name] = shape;
+  }
+
+  browser.storage.local.set({ searchArgShapes: state.searchArgShapes });
+}
+
+// Non-null values seen for a variable: the current template's, then earlier captures under the same hash
+function getObservedValues(field, args) {
+  const observed = state.searchArgShapes?.fields?.[field]?.values || [];
+  return [args[field], ...observed].filter(v => v !== null && v !== undefined);
+}
+
+/**
+ * How a filter choice can be expressed with a value Nextdoor has been seen to accept
+ * @param {Object} spec - SEARCH_FILTER_OPTIONS entry
+ * @param {string} choice - e.g. 'week'
+ * @param {Object} args - postSearchArgs of the captured template
+ * @returns {Object|null} - { field, value }, or null when nothing observed fits
+ */
+function resolveFilterChoice(spec, choice, args) {
+  const mapping = spec.values[choice];
+  if (!mapping) return null;
+
+  for (const field of spec.fields) {
+    const value = getObservedValues(field, args).find(v => typeof v === 'string' && mapping.pattern.test(v));
+    if (value !== undefined) return { field, value };
+  }
+
+  // A timestamp variable needs a sample to know its format (epoch ms, seconds or ISO)
+  if (mapping.days) {
+    for (const field of spec.timestampFields || []) {
+      const sample = getObservedValues(field, args)[0];
+      if (sample !== undefined) return { field, value: formatCutoff(mapping.days, sample) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Which popup filter choices the captured searchPost template can express
+ * @returns {Object} - { scope, dateRange, sort } -> { field, choices }, or null when unsupported
+ */
+function getSearchFilterSupport() {
+  const args = state.captured.searchPost?.payload?.variables?.postSearchArgs || {};
+  const support = {};
+  for (const [option, spec] of Object.entries(SEARCH_FILTER_OPTIONS)) {
+    const resolved = Object.keys(spec.values)
+      .map(choice => ({ choice, target: resolveFilterChoice(spec, choice, args) }))
+      .filter(r => r.target);
+    support[option] = resolved.length > 0
+      ? { field: resolved[0].target.field, choices: resolved.map(r => r.choice) }
+      : null;
+  }
+  return support;
+}
+
+// Cutoff in the same format the template used (epoch ms, epoch seconds or ISO string)
+function formatCutoff(days, sample) {
+  const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+  if (typeof sample === 'number') {
+    return sample > 1e12 ? cutoff : Math.floor(cutoff / 1000);
+  }
+  return new Date(cutoff).toISOString();
+}
+
+/**
+ * Writes the chosen filters into a cloned searchPost payload's postSearchArgs.
+ * Options left at their default ('' or missing) keep the template's own value;
+ * choices with no observed value are left out rather than guessed.
+ * @param {Object} args - payload.variables.postSearchArgs (modified in place)
+ * @param {Object} filters - { scope, dateRange, sort } from the popup
+ * @returns {Object} - { applied: { option: variable }, unsupported: [option] }
+ */
+function applySearchFilters(args, filters) {
+  const applied = {};
+  const unsupported = [];
+
+  for (const [option, choice] of Object.entries(filters || {})) {
+    const spec = SEARCH_FILTER_OPTIONS[option];
+    if (!spec?.values[choice]) continue;
+
+    const target = resolveFilterChoice(spec, choice, args);
+    if (!target) {
+      unsupported.push(option);
+      continue;
+    }
+    args[target.field] = target.value;
+    applied[option] = target.field;
+  }
+
+  return { applied, unsupported };
+}
+
+// ============================================================================
+// Comment Pagination - load comments and replies hidden behind "see more"
+// ============================================================================
+
+// Operation names of comment/reply page queries (captured from the user's clicks)
+const COMMENT_PAGE_OPERATION_PATTERN = /(?:comments|replies)$/i;
+// Variable names that may carry the comment page cursor
+const COMMENT_CURSOR_FIELDS = ['pagedCommentsCursor', 'commentsCursor', 'commentCursor', 'after', 'cursor', 'nextPage'];
+// Variable names that may identify the parent comment when paging replies
+const COMMENT_PARENT_FIELDS = ['commentId', 'parentCommentId', 'parentId'];
+// Safety stop per comment list in case the cursor never runs out
+const MAX_COMMENT_PAGES = 20;
+
+/**
+ * Nextdoor's own comment total for a post, if the response carries one
+ * @returns {number|null}
+ */
+function getApiCommentCount(post) {
+  const candidates = [
+    post.comments?.totalCount,
+    post.comments?.pagedComments?.totalCount,
+    post.commentCount,
+    post.numComments,
+    post.comments?.count
+  ];
+  const count = candidates.find(n => typeof n === 'number');
+  return count === undefined ? null : count;
+}
+
+/**
+ * Nextdoor's reply total for a raw comment, if the response carries one
+ */
+function getApiReplyCount(c, connection) {
+  const candidates = [connection?.totalCount, c.replyCount, c.numReplies, c.replies?.totalCount];
+  const count = candidates.find(n => typeof n === 'number');
+  return count === undefined ? null : count;
+}
+
+/**
+ * Cursor for the next page of a comment connection
+ * @returns {string|null} - null when the connection is complete
+ */
+function getCommentCursor(connection) {
+  const pageInfo = connection?.pageInfo;
+  if (pageInfo) {
+    return pageInfo.hasNextPage === false ? null : (pageInfo.endCursor || null);
+  }
+  return connection?.nextPage || connection?.nextCursor || null;
+}
+
+/**
+ * Finds the first comment connection (edges of { node: { comment } }) in a response
+ */
+function findCommentConnection(value, depth = 0) {
+  if (!value || typeof value !== 'object' || depth > 8) return null;
+  if (Array.isArray(value.edges) && value.edges.some(e => e?.node?.comment)) return value;
+  for (const child of Object.values(value)) {
+    const found = findCommentConnection(child, depth + 1);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Finds the first matching variable (postSearchArgs-style nested args included)
+ * @returns {Object|null} - { scope, field } to read or write it through
+ */
+function findTemplateVariable(variables, fields) {
+  for (const scope of [variables || {}, ...Object.values(variables || {}).filter(v => v && typeof v === 'object')]) {
+    const field = fields.find(f => f in scope);
+    if (field) return { scope, field };
+  }
+  return null;
+}
+
+/**
+ * Sets the first matching variable (postSearchArgs-style nested args included)
+ * @returns {boolean} - Whether a matching variable existed
+ */
+function setTemplateVariable(variables, fields, value) {
+  const found = findTemplateVariable(variables, fields);
+  if (found) found.scope[found.field] = value;
+  return !!found;
+}
+
+// A comment page query: a read named like "...Comments"/"...Replies" that pages with a cursor
+function isCommentPageOperation(template) {
+  return COMMENT_PAGE_OPERATION_PATTERN.test(template.operation) &&
+    isReadOperation(template) &&
+    !!findTemplateVariable(template.payload?.variables, COMMENT_CURSOR_FIELDS);
+}
+
+/**
+ * Fetches one page of comments - top-level (parentCommentId null) or replies
+ * Uses the captured comment paging operation; top-level pages fall back to
+ * FeedItem when its template carries a comment cursor variable.
+ * @returns {Object|null} - Comment connection, or null if no template can page it
+ */
+async function fetchCommentPage(tabId, postId, parentCommentId, cursor, onRetry) {
+  let template = state.captured.commentPage;
+  let message;
+
+  if (template) {
+    const payload = JSON.parse(JSON.stringify(template.payload));
+    const variables = payload.variables || (payload.variables = {});
+    setTemplateVariable(variables, ['feedItemId'], `sharedPost_${postId}`);
+    setTemplateVariable(variables, ['postId'], postId);
+    if (parentCommentId && !setTemplateVariable(variables, COMMENT_PARENT_FIELDS, parentCommentId)) {
+      return null;
+    }
+    setTemplateVariable(variables, COMMENT_CURSOR_FIELDS, cursor);
+    message = { type: 'FETCH_GQL', operation: template.operation, headers: template.headers, payload };
+  } else {
+    template = state.captured.feedItem;
+    const payload = JSON.parse(JSON.stringify(template.payload));
+    payload.variables.feedItemId = `sharedPost_${postId}`;
+    if (parentCommentId || !setTemplateVariable(payload.variables, COMMENT_CURSOR_FIELDS, cursor)) {
+      return null;
+    }
+    message = { type: 'FETCH_GQL', operation: template.operation, headers: template.headers, payload };
+  }
+
+  const response = await sendGqlMessage(tabId, message, onRetry);
+  if (!response.success) {
+    log('WARN', `Comment page fetch failed for ${postId}:`, response.error);
+    return null;
+  }
+
+  if (parentCommentId) {
+    return findCommentConnection(response.data?.data);
+  }
+  return findCommentConnection(response.data?.data?.feedItem?.post?.comments) ||
+    findCommentConnection(response.data?.data);
+}
+
+/**
+ * Appends every remaining page of a connection in place
+ */
+async function loadConnectionPages(connection, tabId, postId, parentCommentId, onRetry) {
+  let cursor = getCommentCursor(connection);
+  let pages = 0;
+  const seen = new Set(connection.edges.map(e => e?.node?.comment?.id).filter(Boolean));
+
+  while (cursor && pages < MAX_COMMENT_PAGES) {
+    pages++;
+    const page = await fetchCommentPage(tabId, postId, parentCommentId, cursor, onRetry);
+    if (!page) break;
+
+    const fresh = page.edges.filter(e => !seen.has(e?.node?.comment?.id));
+    fresh.forEach(e => e?.node?.comment?.id && seen.add(e.node.comment.id));
+    connection.edges.push(...fresh);
+    connection.pageInfo = page.pageInfo;
+
+    // No new comments means the cursor is looping
+    cursor = fresh.length > 0 ? getCommentCursor(page) : null;
+  }
+
+  if (pages > 0) {
+    log('DEBUG', `Loaded ${pages} extra comment page(s) for ${postId}${parentCommentId ? ` reply ${parentCommentId}` : ''}`);
+  }
+}
+
+/**
+ * Loads collapsed replies under each comment in a connection, recursively
+ */
+async function loadReplyPages(edges, tabId, postId, onRetry) {
+  for (const edge of edges) {
+    const c = edge?.node?.comment;
+    if (!c) continue;
+
+    let connection = findRepliesConnection(c);
+    const expected = getApiReplyCount(c, connection);
+    const loaded = connection?.edges?.length || 0;
+
+    if (c.id && (getCommentCursor(connection) || (expected !== null && expected > loaded))) {
+      if (!connection) {
+        // Replies fully collapsed - start from the first page
+        const firstPage = await fetchCommentPage(tabId, postId, c.id, null, onRetry);
+        if (firstPage) {
+          c.replies = firstPage;
+          connection = firstPage;
+        }
+      }
+      if (connection) {
+        await loadConnectionPages(connection, tabId, postId, c.id, onRetry);
+      }
+    }
+
+    if (connection?.edges?.length) {
+      await loadReplyPages(connection.edges, tabId, postId, onRetry);
+    }
+  }
+}
+
+/**
+ * Expands a raw FeedItem post in place so extractAllComments sees every
+ * comment and reply, not just the first page Nextdoor returns
+ */
+async function loadAllCommentPages(post, postId, tabId, onRetry) {
+  const topLevel = post.comments?.pagedComments;
+  if (!topLevel?.edges) return;
+
+  try {
+    await loadConnectionPages(topLevel, tabId, postId, null, onRetry);
+    await loadReplyPages(topLevel.edges, tabId, postId, onRetry);
+  } catch (e) {
+    // Partial comments are still better than dropping the thread
+    log('WARN', `Comment pagination failed for ${postId}:`, e.message);
+  }
+}
+
+// ============================================================================
+// Request Retry - exponential backoff for transient GraphQL failures
+// ============================================================================
+
+// Failure kinds worth retrying; auth, persisted_query and not_found won't change on retry
+const TRANSIENT_FAILURES = ['rate_limited', 'server', 'network'];
+// Failure kinds that will hit every remaining request identically
+const FATAL_FAILURES = ['auth', 'persisted_query'];
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY = 1000;
+
+/**
+ * Sends a FETCH_GQL message to the content script, retrying transient failures
+ * with exponential backoff (1s, 2s, 4s plus jitter)
+ * @param {number} tabId - Nextdoor tab whose content script performs the fetch
+ * @param {Object} message - FETCH_GQL message
+ * @param {Function} onRetry - Called with each failed response before it is retried
+ * @returns {Object} - Final content script response, with attempts count
+ */
+async function sendGqlMessage(tabId, message, onRetry = null) {
+  // Every replay ends up here - the last line of defence against firing a write
+  if (!isReadOperation(message)) {
+    log('ERROR', `Refused to replay ${message.operation}: not a read operation`);
+    return { success: false, error: `${message.operation} changes data on Nextdoor and is never replayed`, kind: 'write_operation', status: null, attempts: 0 };
+  }
+
+  let attempt = 0;
+
+  while (true) {
+    attempt++;
+    let response;
+    try {
+      response = await browser.tabs.sendMessage(tabId, message);
+    } catch (e) {
+      // Content script unreachable - tab reloading, navigating or closed
+      response = { success: false, error: `Network error: ${e.message}`, kind: 'network', status: null };
+    }
+
+    if (response.success || !TRANSIENT_FAILURES.includes(response.kind) || attempt > MAX_RETRIES) {
+      response.attempts = attempt;
+      return response;
+    }
+
+    const delay = RETRY_BASE_DELAY * 2 ** (attempt - 1) + Math.floor(Math.random() * 250);
+    log('WARN', `${message.operation} failed (${response.kind}: ${response.error}), retry ${attempt}/${MAX_RETRIES} in ${delay}ms`);
+    if (onRetry) onRetry(response);
+    await new Promise(r => setTimeout(r, delay));
+  }
+}
+
+// ============================================================================
+// Template Health - notice when captured templates stop working
+// ============================================================================
+
+// Templates the health check can test-fire; commentPage needs a real comment cursor
+const TESTABLE_TEMPLATES = ['searchPost', 'feedItem'];
+// Failure kinds that mean the template itself is stale, not just this request
+const STALE_TEMPLATE_FAILURES = {
+  auth: 'Nextdoor rejected the session - log in again and repeat the step',
+  persisted_query: 'Nextdoor no longer accepts this query hash - repeat the step to capture a new one'
+};
+
+let templateTestRunning = false;
+
+/**
+ * Records how the last request made with a template went. Fatal failures mark
+ * the template stale; a success clears that again.
+ * @param {string} operation - 'searchPost' or 'feedItem'
+ * @param {Object} response - Content script response from sendGqlMessage
+ * @param {string} source - 'search' or 'test'
+ */
+function noteTemplateHealth(operation, response, source = 'search') {
+  const template = state.captured[operation];
+  const base = { hash: template?.hash || null, capturedAt: template?.capturedAt || null, checkedAt: Date.now(), source };
+  let health;
+  if (response.success) {
+    health = { ...base, status: 'ok', message: null };
+  } else if (STALE_TEMPLATE_FAILURES[response.kind]) {
+    health = { ...base, status: response.kind, message: response.error };
+  } else if (source === 'test') {
+    // One-off network or server trouble says nothing about the template - only report it for tests
+    health = { ...base, status: 'error', message: response.error };
+  } else {
+    return;
+  }
+
+  const previous = state.templateHealth[operation];
+  state.templateHealth[operation] = health;
+  if (previous?.status !== health.status) {
+    if (isTemplateStale(operation)) {
+      log('WARN', `${operation} template is stale: ${response.error}`);
+    }
+    browser.storage.local.set({ templateHealth: state.templateHealth });
+    updateBadge();
+  }
+}
+
+// A fresh capture (even with the same hash, e.g. after logging back in) starts out healthy
+function isTemplateStale(operation) {
+  const health = state.templateHealth[operation];
+  return !!health && !!STALE_TEMPLATE_FAILURES[health.status] && health.capturedAt === state.captured[operation]?.capturedAt;
+}
+
+/**
+ * @returns {Array} - [{ operation, status, hint }] for every template that stopped working
+ */
+function getStaleTemplates() {
+  return TESTABLE_TEMPLATES.filter(isTemplateStale).map(operation => ({
+    operation,
+    status: state.templateHealth[operation].status,
+    hint: STALE_TEMPLATE_FAILURES[state.templateHealth[operation].status]
+  }));
+}
+
+/**
+ * Summarizes each captured template for the options page diagnostics
+ * @returns {Array} - [{ operation, hash, capturedAt, headerCount, tabId, pageUrl, tabOpen, health }]
+ */
+async function getTemplateInfo() {
+  const info = [];
+  for (const operation of ['searchPost', 'feedItem', 'commentPage']) {
+    const template = state.captured[operation];
+    if (!template) {
+      info.push({ operation, captured: false });
+      continue;
+    }
+
+    let tabOpen = false;
+    if (template.tabId != null) {
+      try {
+        await browser.tabs.get(template.tabId);
+        tabOpen = true;
+      } catch (e) {
+        // Tab closed since the capture
+      }
+    }
+
+    info.push({
+      operation,
+      captured: true,
+      operationName: template.operation || null,
+      hash: template.hash || null,
+      capturedAt: template.capturedAt || null,
+      headerCount: Object.keys(template.headers || {}).length,
+      tabId: template.tabId ?? null,
+      pageUrl: template.pageUrl || null,
+      tabOpen,
+      health: state.templateHealth[operation] || null,
+      stale: isTemplateStale(operation)
+    });
+  }
+  return info;
+}
+
+/**
+ * Fires the captured searchPost and FeedItem templates once each, exactly as
+ * captured (the user's own last search and post), to see whether they still work
+ * @returns {Object} - operation -> { status, message, durationMs }
+ */
+async function testTemplates() {
+  if (state.isRunning || savedSearchRunning) {
+    throw new Error('A search is running - try again when it finishes');
+  }
+  const tabId = await findNextdoorTabId();
+  if (!tabId) {
+    throw new Error('Open a nextdoor.com tab first - the test runs through it');
+  }
+
+  const results = {};
+  templateTestRunning = true;
+  try {
+    for (const operation of TESTABLE_TEMPLATES) {
+      const template = state.captured[operation];
+      if (!template) {
+        results[operation] = { status: 'missing', message: 'Not captured yet', durationMs: 0 };
+        continue;
+      }
+
+      const payload = JSON.parse(JSON.stringify(template.payload));
+      if (payload.variables?.postSearchArgs) {
+        payload.variables.postSearchArgs.requestId = crypto.randomUUID();
+        payload.variables.postSearchArgs.clientContextId = crypto.randomUUID();
+      }
+
+      const started = Date.now();
+      const response = await sendGqlMessage(tabId, {
+        type: 'FETCH_GQL',
+        operation: template.operation,
+        headers: template.headers,
+        payload
+      });
+      noteTemplateHealth(operation, response, 'test');
+
+      results[operation] = {
+        status: response.success ? 'ok' : (STALE_TEMPLATE_FAILURES[response.kind] ? response.kind : 'error'),
+        message: response.success ? null : response.error,
+        durationMs: Date.now() - started
+      };
+      log('INFO', `Template test ${operation}: ${results[operation].status}`, response.success ? '' : response.error);
+    }
+  } finally {
+    templateTestRunning = false;
+  }
+  return results;
+}
+
+// ============================================================================
+// Thread Fetching - bounded worker pool with adaptive throttling
+// ============================================================================
+
+// Pause between requests on each worker when Nextdoor is happy
+const BASE_REQUEST_DELAY = 150;
+const MAX_REQUEST_DELAY = 5000;
+// Consecutive successes needed before the pool speeds back up
+const THROTTLE_RECOVERY_STREAK = 10;
+// Failure kinds (classified by the content script) that mean "back off"
+const THROTTLE_FAILURES = ['rate_limited', 'server'];
+
+/**
+ * Tracks how hard we may hit Nextdoor. Halves the allowed concurrency and
+ * doubles the per-request delay on 429/5xx or GraphQL rate-limit errors, then
+ * steps back up after a streak of clean responses.
+ */
+class AdaptiveThrottle {
+  constructor(maxConcurrency) {
+    this.maxConcurrency = maxConcurrency;
+    this.limit = maxConcurrency;
+    this.active = 0;
+    this.delay = BASE_REQUEST_DELAY;
+    this.successStreak = 0;
+  }
+
+  async acquire() {
+    while (this.active >= this.limit) {
+      await new Promise(r => setTimeout(r, 50));
+    }
+    this.active++;
+  }
+
+  release() {
+    this.active--;
+  }
+
+  recordSuccess() {
+    this.successStreak++;
+    if (this.successStreak < THROTTLE_RECOVERY_STREAK) return;
+    this.successStreak = 0;
+    if (this.limit < this.maxConcurrency || this.delay > BASE_REQUEST_DELAY) {
+      this.limit = Math.min(this.maxConcurrency, this.limit + 1);
+      this.delay = Math.max(BASE_REQUEST_DELAY, Math.floor(this.delay / 2));
+      log('INFO', `Throttle: speeding up to ${this.limit} concurrent, ${this.delay}ms delay`);
+    }
+  }
+
+  recordThrottled() {
+    this.successStreak = 0;
+    this.limit = Math.max(1, Math.floor(this.limit / 2));
+    this.delay = Math.min(MAX_REQUEST_DELAY, this.delay * 2);
+    log('WARN', `Throttle: slowing down to ${this.limit} concurrent, ${this.delay}ms delay`);
+  }
+}
+
+/**
+ * Builds the stored thread model from a FeedItem post
+ */
+function buildThread(postId, post) {
+  const comments = extractAllComments(post);
+  const expected = getApiCommentCount(post);
+  const extracted = countAllComments(comments);
+  const { phones, links } = extractActionStyles(post);
+
+  return {
+    postId,
+    url: `https://nextdoor.com/p/${postId}?view=detail`,
+    op: {
+      author: post.author?.displayName,
+      authorId: extractAuthorId(post.author),
+      location: post.author?.originationNeighborhood?.displayLocation,
+      subject: post.subject,
+      body: post.body,
+      ...extractTimestamps(post.createdAt),
+      edited: isEdited(post),
+      reactions: extractReactions(post),
+      media: extractMedia(post),
+      topics: extractTopics(post),
+      phones,
+      links,
+      businesses: extractBusinesses(post),
+      contacts: extractTextContacts([post.subject, post.body].filter(Boolean).join('\n'), phones)
+    },
+    comments,
+    // Flag threads where Nextdoor reports more (or fewer) comments than we got
+    commentCountExpected: expected,
+    commentsIncomplete: expected !== null && expected !== extracted
+  };
+}
+
+/**
+ * Fetches one thread through the content script
+ * @param {string} postId - Post to fetch
+ * @param {number} tabId - Nextdoor tab whose content script performs the fetch
+ * @param {Function} onRetry - Called with each transient failure before retrying
+ * @returns {Object} - { thread } on success, { error, kind, status, attempts } on failure
+ */
+async function fetchThread(postId, tabId, onRetry = null) {
+  const template = state.captured.feedItem;
+
+  // Clone payload and update feedItemId
+  const payload = JSON.parse(JSON.stringify(template.payload));
+  payload.variables.feedItemId = `sharedPost_${postId}`;
+
+  // Send to content script (main world fetch)
+  const response = await sendGqlMessage(tabId, {
+    type: 'FETCH_GQL',
+    operation: template.operation,
+    headers: template.headers,
+    payload: payload
+  }, onRetry);
+
+  noteTemplateHealth('feedItem', response);
+  if (!response.success) {
+    return {
+      error: response.error,
+      kind: response.kind || 'unknown',
+      status: response.status || null,
+      attempts: response.attempts
+    };
+  }
+
+  recordResponseShape('feedItem', response.data);
+
+  const post = response.data?.data?.feedItem?.post;
+  if (!post) {
+    return { error: 'Post not found in response', kind: 'not_found', status: null, attempts: response.attempts };
+  }
+
+  await loadAllCommentPages(post, postId, tabId, onRetry);
+
+  return { thread: buildThread(postId, post) };
+}
+
+/**
+ * Fetches threads with a bounded pool of workers. Results keep the order of
+ * postIds no matter which request finishes first. An auth or persisted-query
+ * failure stops the pool, since every remaining request would fail the same way.
+ * @param {Array} postIds - Post IDs in search order
+ * @param {number} tabId - Nextdoor tab whose content script performs the fetch
+ * @param {Object} options - { concurrency, control, onResult({ postId, thread, error }), onProgress({ current, total, errors }) }
+ * @returns {Object} - { threads, errors }
+ */
+async function fetchThreadsPooled(postIds, tabId, { concurrency = DEFAULT_CONCURRENCY, control = null, onResult = null, onProgress = null } = {}) {
+  if (!state.captured.feedItem) {
+    throw new Error('Missing FeedItem template. Please click on a post on Nextdoor first.');
+  }
+
+  const workerCount = Math.max(1, Math.min(MAX_CONCURRENCY, concurrency, postIds.length));
+  const throttle = new AdaptiveThrottle(workerCount);
+  const results = new Array(postIds.length).fill(null);
+  const errors = [];
+  let nextIndex = 0;
+  let completed = 0;
+  let fatalFailure = null;
+
+  const onRetry = (response) => {
+    if (THROTTLE_FAILURES.includes(response.kind)) throttle.recordThrottled();
+  };
+
+  async function worker() {
+    while (nextIndex < postIds.length && !fatalFailure) {
+      await waitWhilePaused(control);
+      if (control?.cancelled || nextIndex >= postIds.length) break;
+
+      const index = nextIndex++;
+      const postId = postIds[index];
+
+      await throttle.acquire();
+      let result;
+      try {
+        result = await fetchThread(postId, tabId, onRetry);
+      } catch (err) {
+        result = { error: err.message, kind: 'unknown', status: null, attempts: 1 };
+      } finally {
+        throttle.release();
+      }
+
+      if (result.thread) {
+        results[index] = result.thread;
+        cacheThread(result.thread);
+        throttle.recordSuccess();
+      } else {
+        log('ERROR', 'Failed to fetch post', postId, '-', result.kind, result.error);
+        errors.push({ postId, error: result.error, kind: result.kind, status: result.status, attempts: result.attempts });
+        if (THROTTLE_FAILURES.includes(result.kind)) throttle.recordThrottled();
+        if (FATAL_FAILURES.includes(result.kind) && !fatalFailure) {
+          fatalFailure = result;
+          log('ERROR', `Stopping thread fetch: ${result.kind} failure affects every request`);
+        }
+      }
+
+      completed++;
+      if (onResult) onResult({ postId, thread: result.thread || null, error: result.thread ? null : errors[errors.length - 1] });
+      if (onProgress) onProgress({ current: completed, total: postIds.length, errors: errors.length });
+
+      // Rate limit
+      if (nextIndex < postIds.length) {
+        await new Promise(r => setTimeout(r, throttle.delay));
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: workerCount }, () => worker()));
+
+  // Record the threads we never attempted so the results page can account for them
+  if (fatalFailure) {
+    for (let i = nextIndex; i < postIds.length; i++) {
+      errors.push({ postId: postIds[i], error: `Skipped: ${fatalFailure.error}`, kind: fatalFailure.kind, status: null, attempts: 0, skipped: true });
+    }
+  }
+
+  return { threads: results.filter(Boolean), errors };
+}
+
+// ============================================================================
+// Provider Enrichment - look up tagged businesses on their Nextdoor pages
+// ============================================================================
+
+// Names (lowercased) of business page lookups. An allow-list: fave, recommend and
+// review actions on a business carry the same words and must never be replayed.
+const BUSINESS_PAGE_OPERATION_NAMES = new Set([
+  'businesspage', 'businesspagequery', 'getbusinesspage', 'businessprofile', 'businessprofilequery',
+  'businessdetails', 'entitypage', 'entitypagequery', 'pageprofile', 'pageprofilequery'
+]);
+// Variables that may identify the business - slug-like ones get the page slug
+const BUSINESS_ID_FIELDS = ['pageId', 'businessId', 'entityPageId'];
+const BUSINESS_SLUG_FIELDS = ['slug', 'pageSlug', 'businessSlug'];
+// Candidate fields on the business page, in lookup order
+const RECOMMENDATION_COUNT_FIELDS = ['recommendationCount', 'totalRecommendations', 'recommendations.totalCount', 'faveCount.value', 'faveCount'];
+const HOURS_FIELDS = ['hours', 'businessHours', 'openingHours', 'hoursOfOperation'];
+const WEBSITE_FIELDS = ['website', 'websiteUrl', 'externalUrl', 'contactInfo.website'];
+const BUSINESS_PHONE_FIELDS = ['phone', 'phoneNumber', 'contactPhone', 'contactInfo.phone', 'phone.display', 'phoneNumber.display'];
+const REVIEW_FIELDS = ['reviews', 'recommendations', 'neighborReviews', 'faves'];
+// Reviews kept per provider - enough to quote without bloating lastSearchData
+const MAX_PROVIDER_REVIEWS = 10;
+
+// A known business page query that identifies the business by a variable we can swap
+function isBusinessPageOperation(template) {
+  return BUSINESS_PAGE_OPERATION_NAMES.has(String(template.operation).toLowerCase()) &&
+    isReadOperation(template) &&
+    !!findTemplateVariable(template.payload?.variables, [...BUSINESS_SLUG_FIELDS, ...BUSINESS_ID_FIELDS]);
+}
+
+function getPath(obj, path) {
+  return path.split('.').reduce((o, k) => o?.[k], obj);
+}
+
+function getProviderKey(business) {
+  return business.id || business.name.trim().toLowerCase();
+}
+
+// Business page links may be relative to nextdoor.com
+function toNextdoorUrl(url) {
+  if (!url) return null;
+  try {
+    return new URL(url, 'https://nextdoor.com').href;
+  } catch (e) {
+    return null;
+  }
+}
+
+function getBusinessSlug(business) {
+  return business.slug || business.url?.match(/\/pages\/([^/?#]+)/)?.[1] || null;
+}
+
+/**
+ * Distinct businesses tagged anywhere in the threads, most mentioned first
+ * @returns {Array} - [{ key, name, category, faves, address, id, slug, url, postIds }]
+ */
+function collectProviders(threads) {
+  const providers = new Map();
+
+  const add = (business, postId) => {
+    if (!business?.name) return;
+    const key = getProviderKey(business);
+    if (!providers.has(key)) {
+      providers.set(key, { key, ...business, url: toNextdoorUrl(business.url), slug: getBusinessSlug(business), postIds: [] });
+    }
+    const provider = providers.get(key);
+    if (!provider.postIds.includes(postId)) provider.postIds.push(postId);
+  };
+  const walk = (comments, postId) => {
+    for (const comment of comments || []) {
+      getBusinesses(comment).forEach(b => add(b, postId));
+      walk(comment.replies, postId);
+    }
+  };
+
+  for (const thread of threads) {
+    getBusinesses(thread.op).forEach(b => add(b, thread.postId));
+    walk(thread.comments, thread.postId);
+  }
+  return [...providers.values()].sort((a, b) => b.postIds.length - a.postIds.length);
+}
+
+// The business page is the first object in the response that has a name
+function findBusinessPage(value, depth = 0) {
+  if (!value || typeof value !== 'object' || depth > 6) return null;
+  if (!Array.isArray(value) && typeof value.name === 'string') return value;
+  for (const child of Object.values(value)) {
+    const found = findBusinessPage(child, depth + 1);
+    if (found) return found;
+  }
+  return null;
+}
+
+function extractHours(page) {
+  for (const field of HOURS_FIELDS) {
+    const value = getPath(page, field);
+    if (typeof value === 'string' && value) return [value];
+    const entries = unwrapList(value).map(entry => {
+      if (typeof entry === 'string') return entry;
+      const day = entry.day || entry.dayOfWeek || entry.label;
+      const range = entry.hours || entry.display || [entry.open || entry.openTime, entry.close || entry.closeTime].filter(Boolean).join('–');
+      return [day, range].filter(Boolean).join(': ');
+    }).filter(Boolean);
+    if (entries.length > 0) return entries;
+  }
+  return [];
+}
+
+function extractReviews(page) {
+  for (const field of REVIEW_FIELDS) {
+    const reviews = unwrapList(getPath(page, field))
+      .map(node => node.review || node.recommendation || node)
+      .map(node => ({
+        author: node.author?.displayName || node.user?.displayName || null,
+        body: firstString(node, ['body', 'text', 'comment', 'styledBody.text']),
+        createdAtIso: node.createdAt ? extractTimestamps(node.createdAt).createdAtIso : null
+      }))
+      .filter(review => review.body);
+    if (reviews.length > 0) return reviews.slice(0, MAX_PROVIDER_REVIEWS);
+  }
+  return [];
+}
+
+/**
+ * Pulls the profile fields out of a business page response
+ * @returns {Object|null} - { recommendations, hours, website, phone, reviews }
+ */
+function extractBusinessProfile(data) {
+  const page = findBusinessPage(data);
+  if (!page) return null;
+
+  const count = RECOMMENDATION_COUNT_FIELDS.map(f => getPath(page, f)).find(n => typeof n === 'number');
+  return {
+    recommendations: count ?? null,
+    hours: extractHours(page),
+    website: firstString(page, WEBSITE_FIELDS),
+    phone: firstString(page, BUSINESS_PHONE_FIELDS),
+    reviews: extractReviews(page)
+  };
+}
+
+/**
+ * Looks up one business through the captured business page operation
+ * @returns {Object} - { profile } or { error }
+ */
+async function fetchBusinessProfile(tabId, provider, onRetry = null) {
+  const template = state.captured.businessPage;
+  const payload = JSON.parse(JSON.stringify(template.payload));
+  const variables = payload.variables || (payload.variables = {});
+
+  const identified = (provider.slug && setTemplateVariable(variables, BUSINESS_SLUG_FIELDS, provider.slug)) ||
+    (provider.id && setTemplateVariable(variables, BUSINESS_ID_FIELDS, provider.id));
+  if (!identified) {
+    return { error: 'The captured business page request has no variable for this business' };
+  }
+
+  const response = await sendGqlMessage(tabId, {
+    type: 'FETCH_GQL',
+    operation: template.operation,
+    headers: template.headers,
+    payload
+  }, onRetry);
+  if (!response.success) {
+    return { error: response.error };
+  }
+
+  const profile = extractBusinessProfile(response.data?.data);
+  return profile ? { profile } : { error: 'No business page in response' };
+}
+
+/**
+ * Builds the provider section of lastSearchData: every tagged business, with
+ * its Nextdoor page profile when a business page operation has been captured.
+ * Profiles from a previous run are reused instead of looked up again.
+ * @param {Array} threads - Threads to collect tagged businesses from
+ * @param {number} tabId - Nextdoor tab whose content script performs the fetch
+ * @param {Object} options - { previous, control, onProgress({ current, total }) }
+ * @returns {Array} - Providers, most mentioned first
+ */
+async function enrichProviders(threads, tabId, { previous = [], control = null, onProgress = null } = {}) {
+  const providers = collectProviders(threads);
+  const known = new Map((previous || []).filter(p => p.enrichedAt).map(p => [p.key, p]));
+
+  for (const provider of providers) {
+    const old = known.get(provider.key);
+    if (old) {
+      Object.assign(provider, { profile: old.profile, enrichedAt: old.enrichedAt });
+    }
+  }
+
+  const pending = providers.filter(p => !p.enrichedAt);
+  if (!state.captured.businessPage) {
+    if (pending.length > 0) {
+      log('INFO', `enrichProviders: ${pending.length} businesses not enriched - open a business page on Nextdoor to capture its request`);
+    }
+    return providers;
+  }
+
+  for (let i = 0; i < pending.length; i++) {
+    await waitWhilePaused(control);
+    if (control?.cancelled) break;
+
+    const provider = pending[i];
+    const { profile, error } = await fetchBusinessProfile(tabId, provider);
+    if (profile) {
+      provider.profile = profile;
+      provider.enrichedAt = Date.now();
+    } else {
+      provider.enrichError = error;
+      log('WARN', `enrichProviders: ${provider.name} - ${error}`);
+    }
+    if (onProgress) onProgress({ current: i + 1, total: pending.length });
+    // Rate limit between lookups
+    await new Promise(r => setTimeout(r, BASE_REQUEST_DELAY));
+  }
+
+  log('INFO', `enrichProviders: ${providers.length} businesses, ${providers.filter(p => p.profile).length} with a profile`);
+  return providers;
+}
+
+// ============================================================================
+// Thread Cache - skip FeedItem for threads fetched recently
+// ============================================================================
+
+// Default freshness window for cached threads (overridable in options; 0 disables the cache)
+const DEFAULT_CACHE_TTL_HOURS = 6;
+const MAX_CACHE_TTL_HOURS = 720;
+// Entries this old are dropped at startup whatever the TTL setting
+const CACHE_MAX_AGE_DAYS = 30;
+
+// Bump whenever fetchThread's output gains or changes fields, so older cached threads are refetched
+const THREAD_MODEL_VERSION = 2;
+
+const threadCache = new ThreadCache(THREAD_MODEL_VERSION);
+
+/**
+ * Looks up threads cached within the TTL. Cache failures are logged and
+ * treated as misses - the cache must never break a search.
+ * @param {Array} postIds - Post IDs to look up
+ * @param {Object} options - { forceRefresh, ttlHours }
+ * @returns {Map} - postId -> thread for every fresh hit
+ */
+async function getCachedThreads(postIds, { forceRefresh = false, ttlHours = DEFAULT_CACHE_TTL_HOURS } = {}) {
+  if (forceRefresh || !ttlHours || postIds.length === 0) return new Map();
+  try {
+    return await threadCache.getFresh(postIds, Date.now() - ttlHours * 60 * 60 * 1000);
+  } catch (e) {
+    log('WARN', 'Thread cache lookup failed:', e.message);
+    return new Map();
+  }
+}
+
+// Threads a checkpointed search already settled, however old - any the cache lost are refetched
+async function getCheckpointThreads(postIds) {
+  if (postIds.length === 0) return new Map();
+  try {
+    return await threadCache.getFresh(postIds, 0);
+  } catch (e) {
+    log('WARN', 'Thread cache lookup for checkpoint failed:', e.message);
+    return new Map();
+  }
+}
+
+function cacheThread(thread) {
+  threadCache.put(thread).catch(e => log('WARN', 'Thread cache write failed:', e.message));
+}
+
+async function getCacheStats() {
+  return threadCache.stats();
+}
+
+threadCache.prune(Date.now() - CACHE_MAX_AGE_DAYS * 24 * 60 * 60 * 1000)
+  .then(removed => { if (removed > 0) log('INFO', `Thread cache: pruned ${removed} old entries`); })
+  .catch(e => log('WARN', 'Thread cache prune failed:', e.message));
+
+// ============================================================================
+// Tool-based Search (for LLM agent use)
+// ============================================================================
+
+async function findNextdoorTabId() {
   const nextdoorTabs = await browser.tabs.query({ url: 'https://nextdoor.com/*' });
   if (nextdoorTabs.length === 0) {
     throw new Error('No Nextdoor tab found. Please keep a nextdoor.com tab open.');
   }
-  const tabId = nextdoorTabs[0].id;
+  return nextdoorTabs[0].id;
+}
+
+async function executeSearch(query) {
+  return executeSearchWithProgress(query, null);
+}
+
+async function executeSearchWithProgress(query, onProgress, { maxThreads = TOOL_SEARCH_MAX_THREADS, forceRefresh = false } = {}) {
+  log('INFO', 'Executing tool search for:', query);
+
+  if (!state.captured.searchPost) {
+    throw new Error('Missing searchPost template. Please perform a search on Nextdoor first.');
+  }
+
+  // Find a nextdoor.com tab (not necessarily active - could be on results page)
+  const tabId = await findNextdoorTabId();
   log('DEBUG', 'executeSearch: Using nextdoor tab:', tabId);
 
   const template = state.captured.searchPost;
   log('DEBUG', 'Using captured searchPost template from', new Date(template.capturedAt).toLocaleTimeString());
 
-  // Clone payload and update query
-  const payload = JSON.parse(JSON.stringify(template.payload));
-  payload.variables.postSearchArgs.query = query;
-  payload.variables.postSearchArgs.requestId = crypto.randomUUID();
-  payload.variables.postSearchArgs.clientContextId = crypto.randomUUID();
-
   // Notify: searching
   if (onProgress) onProgress({ status: 'searching', message: 'Searching Nextdoor...' });
 
-  // Send to content script (main world fetch)
-  const response = await browser.tabs.sendMessage(tabId, {
-    type: 'FETCH_SEARCH',
-    headers: template.headers,
-    payload: payload
+  // Only page past the first response if it had fewer than the tool limit
+  const { postIds, pages } = await fetchSearchPostIds(tabId, query, {
+    maxThreads,
+    onPage: (page) => {
+      if (onProgress && page.pages > 1) {
+        onProgress({ status: 'searching', message: `Searching Nextdoor... page ${page.pages} (${page.found} posts)` });
+      }
+    }
   });
 
-  if (!response.success) {
-    throw new Error(`Search failed: ${response.error}`);
+  log('INFO', 'Found', postIds.length, 'posts for query:', query, `(${pages} page(s))`);
+
+  // Notify: found posts
+  if (onProgress) onProgress({ status: 'found_posts', message: `Found ${postIds.length} posts`, count: postIds.length });
+
+  // Step 2: Fetch details for each post (already capped to avoid too many requests)
+  const { threads, errors } = await fetchThreadDetailsWithProgress(postIds, tabId, onProgress, { forceRefresh });
+
+  // Notify: complete
+  if (onProgress) onProgress({ status: 'complete', message: 'Search complete', threadCount: threads.length });
+
+  return {
+    query,
+    threadCount: threads.length,
+    threads,
+    errors,
+    timestamp: Date.now()
+  };
+}
+
+async function fetchThreadDetails(postIds, tabId) {
+  return (await fetchThreadDetailsWithProgress(postIds, tabId, null)).threads;
+}
+
+/**
+ * Fetches threads not in the cache, in search order
+ * @returns {Object} - { threads, errors } - errors as reported by fetchThreadsPooled
+ */
+async function fetchThreadDetailsWithProgress(postIds, tabId, onProgress, { forceRefresh = false } = {}) {
+  // If tabId not provided, find a nextdoor.com tab
+  if (!tabId) {
+    tabId = await findNextdoorTabId();
+  }
+
+  const searchConfig = await getSearchConfig();
+  const cached = await getCachedThreads(postIds, { forceRefresh, ttlHours: searchConfig.cacheTtlHours });
+  const missingIds = postIds.filter(id => !cached.has(id));
+  const cachedLabel = cached.size > 0 ? ` (${cached.size} cached)` : '';
+
+  if (onProgress) {
+    onProgress({
+      status: 'cache_lookup',
+      message: `${cached.size} cached, ${missingIds.length} to fetch`,
+      hits: cached.size,
+      misses: missingIds.length
+    });
+  }
+
+  let fetchedThreads = [];
+  let errors = [];
+  if (missingIds.length > 0) {
+    ({ threads: fetchedThreads, errors } = await fetchThreadsPooled(missingIds, tabId, {
+      concurrency: searchConfig.concurrency,
+      onProgress: onProgress ? ({ current, total }) => {
+        onProgress({
+          status: 'fetching_thread',
+          message: `Fetching thread ${current}/${total}${cachedLabel}`,
+          current,
+          total
+        });
+      } : null
+    }));
+  }
+
+  // Keep search order across cached and freshly fetched threads
+  const fetchedById = new Map(fetchedThreads.map(t => [t.postId, t]));
+  return { threads: postIds.map(id => cached.get(id) || fetchedById.get(id)).filter(Boolean), errors };
+}
+
+// ============================================================================
+// Saved Searches - scheduled re-runs that notify on new threads and comments
+// ============================================================================
+
+const SAVED_SEARCH_ALARM_PREFIX = 'saved-search:';
+// Threads checked per scheduled run - enough to spot what's new without a full deep search
+const SAVED_SEARCH_MAX_THREADS = 25;
+const DEFAULT_SAVED_SEARCH_INTERVAL_HOURS = 24 * 7;
+// Threads listed by name in one notification
+const NOTIFICATION_MAX_THREADS = 3;
+
+let savedSearchRunning = false;
+
+async function loadSavedSearches() {
+  const data = await browser.storage.local.get('savedSearches');
+  return data.savedSearches || [];
+}
+
+async function updateSavedSearch(id, changes) {
+  const savedSearches = await loadSavedSearches();
+  const index = savedSearches.findIndex(s => s.id === id);
+  if (index === -1) return null;
+  savedSearches[index] = { ...savedSearches[index], ...changes };
+  await browser.storage.local.set({ savedSearches });
+  return savedSearches[index];
+}
+
+/**
+ * Adds a saved search, or updates the query/interval/enabled flag of an existing one
+ * @param {Object} data - { id?, query, intervalHours, enabled }
+ * @returns {Object} - The stored saved search
+ */
+async function upsertSavedSearch({ id, query, intervalHours, enabled = true }) {
+  const trimmed = (query || '').trim();
+  if (!trimmed) {
+    throw new Error('Saved search needs a query');
+  }
+
+  const savedSearches = await loadSavedSearches();
+  let search = id && savedSearches.find(s => s.id === id);
+  if (search) {
+    // A new query invalidates the baseline - the next run starts a fresh one
+    if (search.query !== trimmed) search.snapshot = null;
+    Object.assign(search, { query: trimmed, intervalHours: intervalHours || search.intervalHours, enabled });
+  } else {
+    search = {
+      id: crypto.randomUUID(),
+      query: trimmed,
+      intervalHours: intervalHours || DEFAULT_SAVED_SEARCH_INTERVAL_HOURS,
+      enabled,
+      createdAt: Date.now(),
+      lastRunAt: null,
+      lastError: null,
+      lastChanges: null,
+      pending: false,
+      snapshot: null  // { postId: commentCount } from earlier runs
+    };
+    savedSearches.push(search);
   }
 
-  const searchData = response.data;
+  await browser.storage.local.set({ savedSearches });
+  await syncSavedSearchAlarms();
+  return search;
+}
 
-  // Debug: log the full response structure
-  log('DEBUG', 'searchPost response:', JSON.stringify(searchData, null, 2).substring(0, 2000));
+async function deleteSavedSearch(id) {
+  const savedSearches = (await loadSavedSearches()).filter(s => s.id !== id);
+  await browser.storage.local.set({ savedSearches });
+  const data = await browser.storage.local.get('savedSearchResults');
+  const results = data.savedSearchResults || {};
+  delete results[id];
+  await browser.storage.local.set({ savedSearchResults: results });
+  await syncSavedSearchAlarms();
+}
 
-  // Check for GraphQL errors
-  if (searchData.errors) {
-    log('ERROR', 'GraphQL errors:', searchData.errors);
-    throw new Error(`GraphQL error: ${searchData.errors[0]?.message || 'Unknown error'}`);
-  }
+// One repeating alarm per enabled saved search; alarms for deleted or changed searches are replaced
+async function syncSavedSearchAlarms() {
+  const savedSearches = await loadSavedSearches();
+  const wanted = new Map(savedSearches.filter(s => s.enabled).map(s => [SAVED_SEARCH_ALARM_PREFIX + s.id, s]));
 
-  // Extract post IDs from searchPostFeed response
-  const postIds = [];
-  const searchResultView = searchData?.data?.searchPostFeed?.searchResultView || [];
-  const postView = searchResultView.find(v => v.type === 'POST') || searchResultView[0];
-  const edges = postView?.searchResultItems?.edges || [];
+  for (const alarm of await browser.alarms.getAll()) {
+    if (!alarm.name.startsWith(SAVED_SEARCH_ALARM_PREFIX)) continue;
+    const search = wanted.get(alarm.name);
+    if (search && alarm.periodInMinutes === search.intervalHours * 60) {
+      wanted.delete(alarm.name);
+    } else {
+      await browser.alarms.clear(alarm.name);
+    }
+  }
 
-  log('INFO', 'Number of search results:', edges.length);
-  if (edges.length > 0) {
-    log('DEBUG', 'First result:', JSON.stringify(edges[0]?.node, null, 2).substring(0, 500));
+  for (const [name, search] of wanted) {
+    const periodInMinutes = search.intervalHours * 60;
+    // Keep the schedule across restarts: next run is one period after the last
+    const last = search.lastRunAt || search.createdAt;
+    const when = Math.max(Date.now() + 60 * 1000, last + periodInMinutes * 60 * 1000);
+    browser.alarms.create(name, { when, periodInMinutes });
   }
+}
 
-  for (const edge of edges) {
-    const node = edge?.node;
-    const url = node?.url;
-    if (url) {
-      const match = url.match(/\/p\/([^?/]+)/);
-      if (match) {
-        postIds.push(match[1]);
-      }
+/**
+ * Compares a run against the previous snapshot
+ * @param {Object} snapshot - { postId: commentCount } from earlier runs
+ * @param {Array} threads - Threads from this run
+ * @returns {Object} - { newThreads, updatedThreads: [{ thread, newComments }] }
+ */
+function diffSavedSearchRun(snapshot, threads) {
+  const newThreads = [];
+  const updatedThreads = [];
+  for (const thread of threads) {
+    const count = countAllComments(thread.comments);
+    if (!(thread.postId in snapshot)) {
+      newThreads.push(thread);
+    } else if (count > snapshot[thread.postId]) {
+      updatedThreads.push({ thread, newComments: count - snapshot[thread.postId] });
     }
   }
+  return { newThreads, updatedThreads };
+}
 
-  log('INFO', 'Found', postIds.length, 'posts for query:', query);
-
-  // Notify: found posts
-  if (onProgress) onProgress({ status: 'found_posts', message: `Found ${postIds.length} posts`, count: postIds.length });
-
-  // Step 2: Fetch details for each post (limit to first 10 to avoid too many requests)
-  const limitedIds = postIds.slice(0, 10);
-  const threads = await fetchThreadDetailsWithProgress(limitedIds, tabId, onProgress);
-
-  // Notify: complete
-  if (onProgress) onProgress({ status: 'complete', message: 'Search complete', threadCount: threads.length });
+function getThreadTitle(thread) {
+  const title = thread.op?.subject || (thread.op?.body || '').split('\n')[0] || thread.postId;
+  return title.length > 60 ? title.substring(0, 57) + '...' : title;
+}
 
-  return {
-    query,
-    threadCount: threads.length,
-    threads,
-    timestamp: Date.now()
-  };
+function notifySavedSearch(search, { newThreads, updatedThreads }, failed = 0) {
+  const newComments = updatedThreads.reduce((sum, u) => sum + u.newComments, 0);
+  const summary = [];
+  if (newThreads.length > 0) summary.push(`${newThreads.length} new thread${newThreads.length !== 1 ? 's' : ''}`);
+  if (newComments > 0) summary.push(`${newComments} new comment${newComments !== 1 ? 's' : ''}`);
+  if (failed > 0) summary.push(`${failed} thread${failed !== 1 ? 's' : ''} couldn't be checked`);
+
+  const lines = [
+    ...newThreads.map(t => `New: ${getThreadTitle(t)}`),
+    ...updatedThreads.map(u => `+${u.newComments}: ${getThreadTitle(u.thread)}`)
+  ];
+  const more = lines.length - NOTIFICATION_MAX_THREADS;
+
+  browser.notifications.create(SAVED_SEARCH_ALARM_PREFIX + search.id, {
+    type: 'basic',
+    iconUrl: browser.runtime.getURL('icons/icon-96.png'),
+    title: `"${search.query}": ${summary.join(', ')}`,
+    message: lines.slice(0, NOTIFICATION_MAX_THREADS).join('\n') + (more > 0 ? `\n...and ${more} more` : '')
+  });
 }
 
-async function fetchThreadDetails(postIds, tabId) {
-  return fetchThreadDetailsWithProgress(postIds, tabId, null);
+// A run that couldn't check anything - otherwise an expired session looks like "nothing new"
+function notifySavedSearchFailure(search, message) {
+  browser.notifications.create(SAVED_SEARCH_ALARM_PREFIX + search.id, {
+    type: 'basic',
+    iconUrl: browser.runtime.getURL('icons/icon-96.png'),
+    title: `"${search.query}": saved search failed`,
+    message
+  });
 }
 
-async function fetchThreadDetailsWithProgress(postIds, tabId, onProgress) {
-  if (!state.captured.feedItem) {
-    throw new Error('Missing FeedItem template. Please click on a post on Nextdoor first.');
+/**
+ * A saved search "Run now" can start
+ * @returns {Object} - The saved search
+ */
+async function getRunnableSavedSearch(id) {
+  const search = (await loadSavedSearches()).find(s => s.id === id);
+  if (!search) {
+    throw new Error('Saved search not found - it may have been deleted');
+  }
+  if (!search.enabled) {
+    throw new Error(`"${search.query}" is paused - resume it to run it`);
   }
+  return search;
+}
 
-  // If tabId not provided, find a nextdoor.com tab
-  if (!tabId) {
-    const nextdoorTabs = await browser.tabs.query({ url: 'https://nextdoor.com/*' });
-    if (nextdoorTabs.length === 0) {
-      throw new Error('No Nextdoor tab found. Please keep a nextdoor.com tab open.');
-    }
-    tabId = nextdoorTabs[0].id;
+/**
+ * Runs a saved search through the tool search path and notifies about changes.
+ * Deferred (marked pending) while a deep search runs or no Nextdoor tab is open.
+ * @param {string} id - Saved search ID
+ */
+async function runSavedSearch(id) {
+  const search = (await loadSavedSearches()).find(s => s.id === id);
+  if (!search) return;
+
+  // Deep searches and other saved searches share the tab and Nextdoor's rate limits
+  if (state.isRunning || savedSearchRunning) {
+    log('INFO', `Saved search "${search.query}" deferred - another search is running`);
+    await updateSavedSearch(id, { pending: true });
+    return;
   }
 
-  const template = state.captured.feedItem;
-  const threads = [];
-  const errors = [];
+  try {
+    await findNextdoorTabId();
+  } catch (e) {
+    log('INFO', `Saved search "${search.query}" waiting for a Nextdoor tab`);
+    await updateSavedSearch(id, { pending: true });
+    return;
+  }
 
-  for (let i = 0; i < postIds.length; i++) {
-    const postId = postIds[i];
+  savedSearchRunning = true;
+  try {
+    // Comment counts drive the diff, so cached copies would hide new comments
+    const result = await executeSearchWithProgress(search.query, null, { maxThreads: SAVED_SEARCH_MAX_THREADS, forceRefresh: true });
+    // Deleted posts aren't failures; anything else means those threads went unchecked
+    const failures = result.errors.filter(e => e.kind !== 'not_found');
+    const fatal = failures.find(e => FATAL_FAILURES.includes(e.kind));
+    if (fatal || (failures.length > 0 && result.threads.length === 0)) {
+      throw new Error(`${failures.length} thread${failures.length !== 1 ? 's' : ''} failed to load: ${(fatal || failures[0]).error}`);
+    }
+    const isBaseline = !search.snapshot;
+    const changes = diffSavedSearchRun(search.snapshot || {}, result.threads);
 
-    // Notify progress
-    if (onProgress) {
-      onProgress({
-        status: 'fetching_thread',
-        message: `Fetching thread ${i + 1}/${postIds.length}`,
-        current: i + 1,
-        total: postIds.length
-      });
+    // Posts seen earlier stay in the snapshot so one that drops off and comes back isn't "new"
+    const snapshot = { ...(search.snapshot || {}) };
+    for (const thread of result.threads) {
+      snapshot[thread.postId] = countAllComments(thread.comments);
     }
 
-    try {
-      // Clone payload and update feedItemId
-      const payload = JSON.parse(JSON.stringify(template.payload));
-      payload.variables.feedItemId = `sharedPost_${postId}`;
+    const lastChanges = {
+      newThreads: isBaseline ? 0 : changes.newThreads.length,
+      newComments: isBaseline ? 0 : changes.updatedThreads.reduce((sum, u) => sum + u.newComments, 0),
+      failed: failures.length
+    };
+    await updateSavedSearch(id, { snapshot, lastRunAt: Date.now(), lastError: null, lastChanges, pending: false });
 
-      // Send to content script (main world fetch)
-      const response = await browser.tabs.sendMessage(tabId, {
-        type: 'FETCH_FEEDITEM',
-        postId: postId,
-        headers: template.headers,
-        payload: payload
-      });
+    // Latest run's threads, opened in the results page when the notification is clicked
+    const data = await browser.storage.local.get('savedSearchResults');
+    const results = data.savedSearchResults || {};
+    results[id] = { query: search.query, timestamp: result.timestamp, threads: result.threads };
+    await browser.storage.local.set({ savedSearchResults: results });
 
-      if (!response.success) {
-        errors.push({ postId, error: response.error });
-      } else {
-        const post = response.data?.data?.feedItem?.post;
-
-        if (post) {
-          const comments = extractAllComments(post);
-
-          threads.push({
-            postId,
-            url: `https://nextdoor.com/p/${postId}?view=detail`,
-            op: {
-              author: post.author?.displayName,
-              location: post.author?.originationNeighborhood?.displayLocation,
-              subject: post.subject,
-              body: post.body,
-              createdAt: post.createdAt?.asDateTime?.relativeTime
-            },
-            comments
-          });
-        }
-      }
-    } catch (err) {
-      errors.push({ postId, error: err.message });
-    }
+    log('INFO', `Saved search "${search.query}": ${result.threadCount} threads,`,
+      isBaseline ? 'baseline recorded' : `${lastChanges.newThreads} new threads, ${lastChanges.newComments} new comments`);
 
-    // Rate limit
-    if (i < postIds.length - 1) {
-      await new Promise(r => setTimeout(r, 150));
+    if (failures.length > 0 || (!isBaseline && (lastChanges.newThreads > 0 || lastChanges.newComments > 0))) {
+      notifySavedSearch(search, isBaseline ? { newThreads: [], updatedThreads: [] } : changes, failures.length);
     }
+  } catch (e) {
+    log('ERROR', `Saved search "${search.query}" failed:`, e.message);
+    await updateSavedSearch(id, { lastRunAt: Date.now(), lastError: e.message, pending: false });
+    notifySavedSearchFailure(search, e.message);
+  } finally {
+    savedSearchRunning = false;
+  }
+
+  await runPendingSavedSearches();
+}
+
+// Catch up on runs that were due while no Nextdoor tab was open
+async function runPendingSavedSearches() {
+  if (state.isRunning || savedSearchRunning) return;
+  const next = (await loadSavedSearches()).find(s => s.pending && s.enabled);
+  if (next) {
+    await runSavedSearch(next.id);
   }
+}
+
+// The results page asks before the run replaces the current results
+async function openSavedSearchResults(id) {
+  const resultsTab = await browser.tabs.create({
+    url: browser.runtime.getURL(`results/results.html?savedSearch=${encodeURIComponent(id)}`)
+  });
+  state.resultsTabId = resultsTab.id;
+}
 
-  return threads;
+/**
+ * Makes the latest run of a saved search the current result set
+ * @param {string} id - Saved search ID
+ */
+async function loadSavedSearchResults(id) {
+  const data = await browser.storage.local.get('savedSearchResults');
+  const run = data.savedSearchResults?.[id];
+  if (!run) throw new Error('This saved search has no stored results');
+
+  // The AI conversation was about the results being replaced
+  state.chatHistory = [];
+  await browser.storage.local.set({
+    lastSearchData: {
+      query: run.query,
+      queries: [run.query],
+      timestamp: run.timestamp,
+      threads: run.threads,
+      errors: [],
+      postCount: run.threads.length
+    }
+  });
 }
 
+browser.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name.startsWith(SAVED_SEARCH_ALARM_PREFIX)) {
+    const id = alarm.name.slice(SAVED_SEARCH_ALARM_PREFIX.length);
+    runSavedSearch(id).catch(error => log('ERROR', `Saved search ${id} failed:`, error.message));
+  }
+});
+
+browser.notifications.onClicked.addListener((notificationId) => {
+  if (notificationId.startsWith(SAVED_SEARCH_ALARM_PREFIX)) {
+    openSavedSearchResults(notificationId.slice(SAVED_SEARCH_ALARM_PREFIX.length))
+      .catch(error => log('ERROR', 'Failed to open saved search results:', error.message));
+    browser.notifications.clear(notificationId);
+  }
+});
+
+syncSavedSearchAlarms();
+
 // ============================================================================
 // Markdown Formatting
 // ============================================================================
 
+/**
+ * Phones, tagged businesses and links of a post or comment as markdown lines
+ * @param {Object} item - Thread op or comment
+ * @param {string} indent - Prefix for each line
+ * @returns {string}
+ */
+function formatContactsMarkdown(item, indent = '') {
+  let md = '';
+  const phones = getPhones(item);
+  if (phones.length > 0) {
+    md += `${indent}Phone: ${phones.map(p => `\`${p}\``).join(', ')}\n\n`;
+  }
+  for (const business of getBusinesses(item)) {
+    md += `${indent}Business: **${business.name}**`;
+    if (business.category) md += ` (${business.category})`;
+    if (business.faves) md += ` - ${business.faves} faves`;
+    if (business.address) md += `\n${indent}Address: ${business.address}`;
+    md += `\n\n`;
+  }
+  if (item.links?.length > 0) {
+    md += `${indent}Links: ${item.links.join(', ')}\n\n`;
+  }
+  return md;
+}
+
 /**
  * Recursively formats a comment and its nested replies with proper indentation
  * @param {Object} comment - Comment object with replies
@@ -966,7 +4117,7 @@ function formatCommentWithReplies(comment, level = 0) {
   let md = '';
 
   md += `${indent}---\n\n`;
-  md += `${indent}**${comment.author}** (${comment.location}) - ${comment.createdAt}`;
+  md += `${indent}**${comment.author}** (${comment.location}) - ${formatPostedDate(comment)}`;
   if (level > 0) {
     md += ` *[Reply level ${level}]*`;
   }
@@ -979,16 +4130,7 @@ function formatCommentWithReplies(comment, level = 0) {
   }
   md += `\n`;
 
-  if (comment.phone) {
-    md += `${indent}Phone: \`${comment.phone}\`\n\n`;
-  }
-  if (comment.business) {
-    md += `${indent}Business: **${comment.business.name}**`;
-    if (comment.business.category) md += ` (${comment.business.category})`;
-    if (comment.business.faves) md += ` - ${comment.business.faves} faves`;
-    if (comment.business.address) md += `\n${indent}Address: ${comment.business.address}`;
-    md += `\n\n`;
-  }
+  md += formatContactsMarkdown(comment, indent);
 
   // Recursively format nested replies
   if (comment.replies && comment.replies.length > 0) {
@@ -1000,11 +4142,23 @@ function formatCommentWithReplies(comment, level = 0) {
   return md;
 }
 
-function formatMarkdown(query, threads, errors, totalComments) {
-  const date = new Date().toISOString().split('T')[0];
+/**
+ * @param {string} query - Search label
+ * @param {Array} threads
+ * @param {Array} errors
+ * @param {number} totalComments
+ * @param {Object} options - { source, queries } from lastSearchData
+ * @returns {string}
+ */
+function formatMarkdown(query, threads, errors, totalComments, { source = 'search', queries } = {}) {
   let md = `# Nextdoor Deep Search: "${query}"\n\n`;
   md += `**Generated:** ${new Date().toISOString()}\n`;
-  md += `**Search URL:** https://nextdoor.com/search/posts/?query=${encodeURIComponent(query)}\n`;
+  // A feed crawl has no search page to link back to
+  if (source !== 'feed') {
+    for (const q of queries?.length ? queries : [query]) {
+      md += `**Search URL:** https://nextdoor.com/search/posts/?query=${encodeURIComponent(q)}\n`;
+    }
+  }
   md += `**Threads:** ${threads.length}\n`;
   md += `**Total Comments:** ${totalComments}\n`;
   if (errors.length > 0) {
@@ -1019,10 +4173,11 @@ function formatMarkdown(query, threads, errors, totalComments) {
     md += `## ${thread.op.subject || '(No subject)'}\n\n`;
     md += `**Post URL:** ${thread.url}\n`;
     md += `**Author:** ${thread.op.author} (${thread.op.location})\n`;
-    md += `**Posted:** ${thread.op.createdAt}\n`;
+    md += `**Posted:** ${formatPostedDate(thread.op)}\n`;
     md += `**Comments:** ${threadCommentCount} (${thread.comments.length} top-level)\n\n`;
     md += `### Original Post\n\n`;
     md += `> ${thread.op.body?.replace(/\n/g, '\n> ') || '(empty)'}\n\n`;
+    md += formatContactsMarkdown(thread.op);
 
     if (thread.comments.length > 0) {
       md += `### Comments\n\n`;
@@ -1047,11 +4202,31 @@ function formatMarkdown(query, threads, errors, totalComments) {
 // Download Handling
 // ============================================================================
 
-async function triggerDownload(query, markdown) {
+/**
+ * Saves content to the downloads folder as nextdoor-<query>-<date>.<extension>
+ * @param {string} query - Used for the filename
+ * @param {string} content
+ * @param {Object} type - { extension, mimeType }
+ * @returns {string} - The filename
+ */
+async function triggerDownload(query, content, { extension = 'md', mimeType = 'text/markdown' } = {}) {
   const date = new Date().toISOString().split('T')[0];
-  const filename = `nextdoor-${query.replace(/[^a-z0-9]/gi, '-')}-${date}.md`;
+  const filename = `nextdoor-${query.replace(/[^a-z0-9]/gi, '-')}-${date}.${extension}`;
+  return saveDownload(filename, content, mimeType);
+}
+
+/**
+ * Saves text as a file in the downloads folder. The blob URL lives here rather than
+ * in the page, so the download can't lose its source when the page revokes or unloads.
+ * @param {string} filename - Plain filename; path separators and reserved characters become "-"
+ * @param {string} content
+ * @param {string} mimeType
+ * @returns {string} - The filename
+ */
+async function saveDownload(filename, content, mimeType) {
+  filename = String(filename).replace(/[\\/:*?"<>|\x00-\x1f]/g, '-');
 
-  const blob = new Blob([markdown], { type: 'text/markdown' });
+  const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
   const url = URL.createObjectURL(blob);
 
   try {
@@ -1068,6 +4243,438 @@ async function triggerDownload(query, markdown) {
   return filename;
 }
 
+// Bumped whenever the JSON export wrapper or thread model changes shape
+const EXPORT_FORMAT = 'nextdoor-deep-search';
+const EXPORT_FORMAT_VERSION = 1;
+
+const RESULT_EXPORTERS = {
+  markdown: {
+    extension: 'md',
+    mimeType: 'text/markdown',
+    format: data => formatMarkdown(
+      data.query,
+      data.threads,
+      data.errors || [],
+      data.threads.reduce((sum, t) => sum + countAllComments(t.comments), 0),
+      { source: data.source, queries: data.queries }
+    )
+  },
+  json: {
+    extension: 'json',
+    mimeType: 'application/json',
+    // The whole of lastSearchData, untouched, so nothing is lost on the way out
+    format: data => JSON.stringify({
+      format: EXPORT_FORMAT,
+      version: EXPORT_FORMAT_VERSION,
+      exportedAt: new Date().toISOString(),
+      extensionVersion: browser.runtime.getManifest().version,
+      data
+    }, null, 2)
+  },
+  html: {
+    extension: 'html',
+    mimeType: 'text/html',
+    format: data => formatHtmlExport(data)
+  }
+};
+
+/**
+ * Exports the last search results and downloads the file
+ * @param {string} format - 'markdown', 'json' or 'html'
+ * @returns {string} - The filename
+ */
+async function exportResults(format) {
+  const exporter = RESULT_EXPORTERS[format];
+  if (!exporter) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+
+  const { lastSearchData: data } = await browser.storage.local.get('lastSearchData');
+  if (!data?.threads) {
+    throw new Error('No search results to export');
+  }
+
+  const filename = await triggerDownload(data.query || 'results', exporter.format(data), exporter);
+  log('INFO', `exportResults: Saved ${data.threads.length} threads as ${filename}`);
+  return filename;
+}
+
+// ============================================================================
+// Import - reopens a JSON export as the current result set
+// ============================================================================
+
+// One validator per export version. Each checks the thread schema of its version
+// and returns the data in the current lastSearchData shape.
+const IMPORT_SCHEMAS = {
+  1: validateExportV1
+};
+
+class ImportError extends Error {
+  constructor(path, problem) {
+    super(path ? `${path}: ${problem}` : problem);
+    this.name = 'ImportError';
+  }
+}
+
+function expectType(value, type, path, { optional = false } = {}) {
+  if (value === undefined || value === null) {
+    if (optional) return;
+    throw new ImportError(path, 'is missing');
+  }
+  const actual = Array.isArray(value) ? 'array' : typeof value;
+  if (actual !== type) {
+    throw new ImportError(path, `should be ${type === 'array' || type === 'object' ? `an ${type}` : `a ${type}`}, not ${actual}`);
+  }
+}
+
+function expectStringArray(value, path, { optional = false } = {}) {
+  expectType(value, 'array', path, { optional });
+  (value || []).forEach((item, i) => expectType(item, 'string', `${path}[${i}]`));
+}
+
+// { total, byType: { LIKE: 3, ... } } as built by extractReactions
+function validateReactions(reactions, path) {
+  expectType(reactions, 'object', path, { optional: true });
+  if (reactions == null) return;
+  expectType(reactions.total, 'number', `${path}.total`);
+  expectType(reactions.byType, 'object', `${path}.byType`);
+  for (const [type, count] of Object.entries(reactions.byType)) {
+    expectType(count, 'number', `${path}.byType.${type}`);
+  }
+}
+
+// [{ type, url, thumbnailUrl }] as built by extractMedia
+function validateMedia(media, path) {
+  expectType(media, 'array', path, { optional: true });
+  (media || []).forEach((item, i) => {
+    expectType(item, 'object', `${path}[${i}]`);
+    expectType(item.url, 'string', `${path}[${i}].url`);
+    expectType(item.type, 'string', `${path}[${i}].type`);
+    expectType(item.thumbnailUrl, 'string', `${path}[${i}].thumbnailUrl`, { optional: true });
+  });
+}
+
+// { phones: [{ display, e164 }], emails, websites, handles: [{ handle, platform, url }] } as built by extractTextContacts
+function validateContacts(contacts, path) {
+  expectType(contacts, 'object', path, { optional: true });
+  if (contacts == null) return;
+  expectType(contacts.phones, 'array', `${path}.phones`, { optional: true });
+  (contacts.phones || []).forEach((phone, i) => {
+    expectType(phone, 'object', `${path}.phones[${i}]`);
+    expectType(phone.display, 'string', `${path}.phones[${i}].display`);
+    expectType(phone.e164, 'string', `${path}.phones[${i}].e164`);
+  });
+  expectStringArray(contacts.emails, `${path}.emails`, { optional: true });
+  expectStringArray(contacts.websites, `${path}.websites`, { optional: true });
+  expectType(contacts.handles, 'array', `${path}.handles`, { optional: true });
+  (contacts.handles || []).forEach((handle, i) => {
+    expectType(handle, 'object', `${path}.handles[${i}]`);
+    for (const field of ['handle', 'platform', 'url']) {
+      expectType(handle[field], 'string', `${path}.handles[${i}].${field}`);
+    }
+  });
+}
+
+// Fields shared by the original post and comments
+function validatePostFields(item, path) {
+  expectType(item, 'object', path);
+  for (const field of ['author', 'body', 'location', 'createdAt']) {
+    expectType(item[field], 'string', `${path}.${field}`, { optional: true });
+  }
+  if (item.createdAtIso != null && Number.isNaN(Date.parse(item.createdAtIso))) {
+    throw new ImportError(`${path}.createdAtIso`, 'is not a date');
+  }
+  expectStringArray(item.phones, `${path}.phones`, { optional: true });
+  expectType(item.businesses, 'array', `${path}.businesses`, { optional: true });
+  expectStringArray(item.links, `${path}.links`, { optional: true });
+  (item.businesses || []).forEach((b, i) => {
+    expectType(b?.name, 'string', `${path}.businesses[${i}].name`);
+    expectType(b.url, 'string', `${path}.businesses[${i}].url`, { optional: true });
+  });
+  validateContacts(item.contacts, `${path}.contacts`);
+  validateReactions(item.reactions, `${path}.reactions`);
+  validateMedia(item.media, `${path}.media`);
+}
+
+function validateCommentV1(comment, path) {
+  validatePostFields(comment, path);
+  expectType(comment.replies, 'array', `${path}.replies`, { optional: true });
+  return { ...comment, replies: (comment.replies || []).map((r, i) => validateCommentV1(r, `${path}.replies[${i}]`)) };
+}
+
+function validateThreadV1(thread, path) {
+  expectType(thread, 'object', path);
+  expectType(thread.postId, 'string', `${path}.postId`);
+  expectType(thread.url, 'string', `${path}.url`);
+  validatePostFields(thread.op, `${path}.op`);
+  expectType(thread.op.subject, 'string', `${path}.op.subject`, { optional: true });
+  expectStringArray(thread.op.topics, `${path}.op.topics`, { optional: true });
+  expectType(thread.comments, 'array', `${path}.comments`);
+  return { ...thread, comments: thread.comments.map((c, i) => validateCommentV1(c, `${path}.comments[${i}]`)) };
+}
+
+// Providers as built by collectProviders, with the profile enrichProviders adds
+function validateProviderV1(provider, path) {
+  expectType(provider, 'object', path);
+  expectType(provider.key, 'string', `${path}.key`);
+  expectType(provider.name, 'string', `${path}.name`);
+  expectStringArray(provider.postIds, `${path}.postIds`);
+  expectType(provider.url, 'string', `${path}.url`, { optional: true });
+  expectType(provider.profile, 'object', `${path}.profile`, { optional: true });
+  expectType(provider.profile?.phone, 'string', `${path}.profile.phone`, { optional: true });
+  expectType(provider.profile?.website, 'string', `${path}.profile.website`, { optional: true });
+  expectStringArray(provider.profile?.hours, `${path}.profile.hours`, { optional: true });
+  expectType(provider.profile?.reviews, 'array', `${path}.profile.reviews`, { optional: true });
+  (provider.profile?.reviews || []).forEach((review, i) => {
+    expectType(review, 'object', `${path}.profile.reviews[${i}]`);
+    expectType(review.body, 'string', `${path}.profile.reviews[${i}].body`);
+    expectType(review.author, 'string', `${path}.profile.reviews[${i}].author`, { optional: true });
+  });
+}
+
+// Per-thread fetch failures: { postId, error, kind, status, attempts }
+function validateErrorV1(error, path) {
+  expectType(error, 'object', path);
+  expectType(error.postId, 'string', `${path}.postId`);
+  expectType(error.error, 'string', `${path}.error`, { optional: true });
+  expectType(error.kind, 'string', `${path}.kind`, { optional: true });
+  if (error.status != null && typeof error.status !== 'number' && typeof error.status !== 'string') {
+    throw new ImportError(`${path}.status`, `should be a number or a string, not ${typeof error.status}`);
+  }
+}
+
+function validateExportV1(data) {
+  expectType(data, 'object', 'data');
+  expectType(data.query, 'string', 'data.query');
+  expectType(data.threads, 'array', 'data.threads');
+  expectStringArray(data.queries, 'data.queries', { optional: true });
+  expectType(data.providers, 'array', 'data.providers', { optional: true });
+  (data.providers || []).forEach((p, i) => validateProviderV1(p, `data.providers[${i}]`));
+  expectType(data.errors, 'array', 'data.errors', { optional: true });
+  (data.errors || []).forEach((e, i) => validateErrorV1(e, `data.errors[${i}]`));
+  if (data.source != null && data.source !== 'search' && data.source !== 'feed') {
+    throw new ImportError('data.source', `unknown source "${data.source}"`);
+  }
+  // Feed results are re-crawled and labelled from their crawl options
+  if (data.source === 'feed') {
+    expectType(data.feed, 'object', 'data.feed');
+    if (data.feed.days !== null) expectType(data.feed.days, 'number', 'data.feed.days');
+    expectType(data.feed.maxThreads, 'number', 'data.feed.maxThreads');
+  }
+
+  return {
+    ...data,
+    queries: data.queries || [data.query],
+    source: data.source || 'search',
+    timestamp: typeof data.timestamp === 'number' ? data.timestamp : Date.now(),
+    threads: data.threads.map((t, i) => validateThreadV1(t, `data.threads[${i}]`)),
+    providers: data.providers || [],
+    errors: data.errors || [],
+    postCount: data.postCount || data.threads.length
+  };
+}
+
+/**
+ * Validates a JSON export and makes it the current result set
+ * @param {string} text - Contents of the exported file
+ * @returns {Object} - { query, threads, exportedAt }
+ */
+async function importResults(text) {
+  let exported;
+  try {
+    exported = JSON.parse(text);
+  } catch (e) {
+    throw new ImportError(null, 'The file is not valid JSON');
+  }
+
+  if (exported?.format !== EXPORT_FORMAT) {
+    throw new ImportError(null, 'The file is not a Nextdoor Deep Search JSON export');
+  }
+  if (exported.version > EXPORT_FORMAT_VERSION) {
+    throw new ImportError(null, `The file was exported by a newer version of the extension (format ${exported.version}) - update to import it`);
+  }
+  const validate = IMPORT_SCHEMAS[exported.version];
+  if (!validate) {
+    throw new ImportError(null, `Unsupported export format version: ${exported.version}`);
+  }
+
+  const data = validate(exported.data);
+  data.importedAt = Date.now();
+
+  // The AI conversation was about the results being replaced
+  state.chatHistory = [];
+  await browser.storage.local.set({ lastSearchData: data });
+  log('INFO', `importResults: Imported ${data.threads.length} threads for "${data.query}" (exported ${exported.exportedAt})`);
+
+  return { query: data.query, threads: data.threads.length, exportedAt: exported.exportedAt };
+}
+
+// ============================================================================
+// HTML Export - one self-contained file: inline CSS, no scripts, no remote assets
+// ============================================================================
+
+const HTML_EXPORT_STYLES = `
+  body { font-family: Georgia, "Times New Roman", serif; line-height: 1.5; color: #222; background: #fff; max-width: 50em; margin: 2em auto; padding: 0 1em; }
+  h1 { font-size: 1.6em; margin-bottom: 0.2em; }
+  h2 { font-size: 1.25em; margin: 0 0 0.3em; }
+  h3 { font-size: 1em; margin: 1em 0 0.4em; }
+  a { color: #1a4f8b; word-break: break-word; }
+  mark { background: #fff3a0; padding: 0 1px; }
+  .meta, .byline { color: #555; font-size: 0.9em; }
+  .thread { border-top: 2px solid #ccc; padding: 1em 0; }
+  .relevance { display: inline-block; font-size: 0.8em; padding: 0 0.5em; border: 1px solid; border-radius: 3px; margin-right: 0.4em; }
+  .relevance-high { color: #1b5e20; }
+  .relevance-medium { color: #8a5a00; }
+  .relevance-low { color: #777; }
+  .thread.low { opacity: 0.75; }
+  .body { white-space: pre-wrap; margin: 0.4em 0; }
+  .details, .contacts { font-size: 0.9em; color: #444; margin: 0.3em 0; }
+  .comment { border-left: 3px solid #ddd; padding-left: 0.8em; margin: 0.8em 0; }
+  .provider { margin: 0.6em 0; }
+  .errors { color: #8b1a1a; }
+  @media print { .thread { page-break-inside: avoid; } }
+`;
+
+// Wraps query terms in <mark>, matching on the raw text so entities are never split
+function highlightText(text, terms) {
+  if (!terms.length || !text) return escapeHtml(text);
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+  // split() with a capture group puts the matches at odd indexes
+  return text.split(pattern).map((part, i) => i % 2 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)).join('');
+}
+
+function formatBylineHtml(item) {
+  const location = item.location ? ` (${escapeHtml(item.location)})` : '';
+  return `<strong>${escapeHtml(item.author)}</strong>${location} - ${escapeHtml(formatPostedDate(item))}${item.edited ? ' (edited)' : ''}`;
+}
+
+function formatLinkHtml(url, label = url) {
+  // Keeps javascript: and other schemes from becoming clickable in the saved file
+  if (!/^https?:\/\//i.test(url || '')) return escapeHtml(label);
+  return `<a href="${escapeHtml(url)}">${escapeHtml(label)}</a>`;
+}
+
+// Reactions, topics, media and contacts shared by posts and comments
+function formatDetailsHtml(item) {
+  let html = '';
+  const details = [];
+  if (item.reactions) {
+    const byType = Object.entries(item.reactions.byType || {});
+    details.push(byType.length > 0
+      ? byType.map(([type, count]) => `${count} ${type.toLowerCase()}`).join(', ')
+      : `${item.reactions.total} reactions`);
+  }
+  if (item.topics?.length > 0) {
+    details.push(`Topics: ${item.topics.map(escapeHtml).join(', ')}`);
+  }
+  if (item.media?.length > 0) {
+    // Linked, not embedded - remote images won't load offline and may disappear
+    details.push(item.media.map((m, i) => formatLinkHtml(m.url, `${m.type === 'video' ? 'Video' : 'Photo'} ${i + 1}`)).join(' · '));
+  }
+  if (details.length > 0) {
+    html += `<p class="details">${details.join(' — ')}</p>`;
+  }
+
+  const contacts = [];
+  const phones = getPhones(item);
+  if (phones.length > 0) contacts.push(`Phone: ${phones.map(escapeHtml).join(', ')}`);
+  for (const business of getBusinesses(item)) {
+    let line = `Business: <strong>${escapeHtml(business.name)}</strong>`;
+    if (business.category) line += ` (${escapeHtml(business.category)})`;
+    if (business.faves) line += ` - ${escapeHtml(business.faves)} faves`;
+    if (business.address) line += `, ${escapeHtml(business.address)}`;
+    contacts.push(line);
+  }
+  if (item.links?.length > 0) contacts.push(`Links: ${item.links.map(l => formatLinkHtml(l)).join(', ')}`);
+  if (contacts.length > 0) {
+    html += `<p class="contacts">${contacts.join('<br>')}</p>`;
+  }
+  return html;
+}
+
+function formatCommentHtml(comment, terms) {
+  let html = '<div class="comment">';
+  html += `<p class="byline">${formatBylineHtml(comment)}</p>`;
+  html += `<div class="body">${highlightText(comment.body || '(empty)', terms)}</div>`;
+  html += formatDetailsHtml(comment);
+  for (const reply of comment.replies || []) {
+    html += formatCommentHtml(reply, terms);
+  }
+  return html + '</div>';
+}
+
+function formatProvidersHtml(providers) {
+  let html = `<section><h2>Providers (${providers.length})</h2>`;
+  for (const provider of providers) {
+    html += `<div class="provider"><strong>${provider.url ? formatLinkHtml(provider.url, provider.name) : escapeHtml(provider.name)}</strong>`;
+    if (provider.category) html += ` (${escapeHtml(provider.category)})`;
+    const facts = [];
+    if (provider.faves) facts.push(`${escapeHtml(provider.faves)} faves`);
+    if (provider.profile?.recommendations) facts.push(`${escapeHtml(provider.profile.recommendations)} recommendations`);
+    if (provider.profile?.phone) facts.push(escapeHtml(provider.profile.phone));
+    if (provider.profile?.website) facts.push(formatLinkHtml(provider.profile.website));
+    if (provider.address) facts.push(escapeHtml(provider.address));
+    facts.push(`mentioned in ${provider.postIds.length} thread${provider.postIds.length !== 1 ? 's' : ''}`);
+    html += `<br><span class="meta">${facts.join(' · ')}</span></div>`;
+  }
+  return html + '</section>';
+}
+
+/**
+ * Renders search results as a standalone HTML document
+ * @param {Object} data - lastSearchData
+ * @returns {string}
+ */
+function formatHtmlExport(data) {
+  const queries = data.source === 'feed' ? [] : (data.queries || [data.query]);
+  const terms = [...new Set(queries.flatMap(extractQueryTerms))];
+  const errors = data.errors || [];
+
+  const scored = data.threads.map(thread => ({ thread, score: calculateRelevance(thread, terms) }));
+  const maxScore = Math.max(...scored.map(t => t.score), 1);
+  if (terms.length > 0) {
+    scored.sort((a, b) => b.score - a.score);
+  }
+  const totalComments = data.threads.reduce((sum, t) => sum + countAllComments(t.comments), 0);
+
+  let html = '<!DOCTYPE html>\n<html lang="en">\n<head>\n<meta charset="utf-8">\n';
+  html += '<meta name="viewport" content="width=device-width, initial-scale=1">\n';
+  html += `<title>Nextdoor Deep Search: ${escapeHtml(data.query)}</title>\n`;
+  html += `<style>${HTML_EXPORT_STYLES}</style>\n</head>\n<body>\n`;
+  html += `<h1>Nextdoor Deep Search: ${escapeHtml(data.query)}</h1>\n`;
+  html += `<p class="meta">Searched ${escapeHtml(new Date(data.timestamp).toLocaleString('en-US', { dateStyle: 'long', timeStyle: 'short' }))}`;
+  html += ` · ${data.threads.length} threads · ${totalComments} comments`;
+  if (data.cancelled) html += ' · cancelled before finishing';
+  html += '</p>\n';
+
+  if (data.providers?.length > 0) {
+    html += formatProvidersHtml(data.providers) + '\n';
+  }
+
+  for (const { thread, score } of scored) {
+    const level = terms.length > 0 ? getRelevanceLevel(score, maxScore) : null;
+    html += `<article class="thread${level === 'low' ? ' low' : ''}">`;
+    html += `<h2>${level ? `<span class="relevance relevance-${level}">${level} match</span>` : ''}${highlightText(thread.op.subject || '(No subject)', terms)}</h2>`;
+    html += `<p class="byline">${formatBylineHtml(thread.op)}`;
+    html += ` · ${formatLinkHtml(thread.url, 'View on Nextdoor')}</p>`;
+    html += `<div class="body">${highlightText(thread.op.body || '(empty)', terms)}</div>`;
+    html += formatDetailsHtml(thread.op);
+    if (thread.comments.length > 0) {
+      html += `<h3>Comments (${countAllComments(thread.comments)})</h3>`;
+      for (const comment of thread.comments) {
+        html += formatCommentHtml(comment, terms);
+      }
+    }
+    html += '</article>\n';
+  }
+
+  if (errors.length > 0) {
+    html += `<section class="errors"><h2>Errors</h2><ul>${errors.map(e => `<li>Post ${escapeHtml(e.postId)}: ${escapeHtml(e.status || e.error)}</li>`).join('')}</ul></section>\n`;
+  }
+
+  return html + '</body>\n</html>\n';
+}
+
 // ============================================================================
 // AI Analysis
 // ============================================================================
@@ -1139,6 +4746,25 @@ const SEARCH_TOOLS = [{
   }
 }];
 
+// Phones, tagged businesses and links, one per line
+function formatContactsForLLM(item, indent = '') {
+  let text = '';
+  for (const phone of getPhones(item)) {
+    text += `${indent}Phone: ${phone}\n`;
+  }
+  for (const business of getBusinesses(item)) {
+    text += `${indent}Business: ${business.name}`;
+    if (business.category) text += ` (${business.category})`;
+    if (business.faves) text += ` - ${business.faves} faves`;
+    if (business.address) text += `\n${indent}Address: ${business.address}`;
+    text += `\n`;
+  }
+  for (const link of item.links || []) {
+    text += `${indent}Link: ${link}\n`;
+  }
+  return text;
+}
+
 /**
  * Recursively formats a comment and its replies for LLM context
  * @param {Object} comment - Comment object with replies
@@ -1149,7 +4775,7 @@ function formatCommentForLLM(comment, level = 0) {
   const indent = '  '.repeat(level);
   let text = '';
 
-  text += `\n${indent}- ${comment.author} (${comment.location}) - ${comment.createdAt}`;
+  text += `\n${indent}- ${comment.author} (${comment.location}) - ${formatPostedDate(comment)}`;
   if (level > 0) {
     text += ` [Reply level ${level}]`;
   }
@@ -1161,16 +4787,7 @@ function formatCommentForLLM(comment, level = 0) {
     text += `${indent}  ${line}\n`;
   }
 
-  if (comment.phone) {
-    text += `${indent}  Phone: ${comment.phone}\n`;
-  }
-  if (comment.business) {
-    text += `${indent}  Business: ${comment.business.name}`;
-    if (comment.business.category) text += ` (${comment.business.category})`;
-    if (comment.business.faves) text += ` - ${comment.business.faves} faves`;
-    if (comment.business.address) text += `\n${indent}  Address: ${comment.business.address}`;
-    text += `\n`;
-  }
+  text += formatContactsForLLM(comment, `${indent}  `);
 
   // Recursively format nested replies
   if (comment.replies && comment.replies.length > 0) {
@@ -1182,6 +4799,28 @@ function formatCommentForLLM(comment, level = 0) {
   return text;
 }
 
+function formatProvidersForLLM(providers) {
+  if (!providers?.length) return '';
+
+  let text = `\n=== BUSINESSES TAGGED IN THESE THREADS (${providers.length}) ===\n`;
+  for (const provider of providers) {
+    const profile = provider.profile;
+    text += `\n- ${provider.name}`;
+    if (provider.category) text += ` (${provider.category})`;
+    text += ` - tagged in ${provider.postIds.length} thread${provider.postIds.length !== 1 ? 's' : ''}\n`;
+    const recommendations = profile?.recommendations ?? provider.faves;
+    if (recommendations != null) text += `  Recommendations: ${recommendations}\n`;
+    if (provider.address) text += `  Address: ${provider.address}\n`;
+    if (profile?.phone) text += `  Phone: ${profile.phone}\n`;
+    if (profile?.website) text += `  Website: ${profile.website}\n`;
+    if (profile?.hours?.length) text += `  Hours: ${profile.hours.join('; ')}\n`;
+    for (const review of profile?.reviews || []) {
+      text += `  Review${review.author ? ` by ${review.author}` : ''}: ${review.body}\n`;
+    }
+  }
+  return text;
+}
+
 function formatThreadsForLLM(threads, query) {
   let text = `Search Query: "${query}"\n\n`;
   text += `Found ${threads.length} threads with discussions:\n\n`;
@@ -1194,8 +4833,14 @@ function formatThreadsForLLM(threads, query) {
     text += `URL: ${thread.url}\n`;
     text += `Subject: ${thread.op.subject || '(No subject)'}\n`;
     text += `Author: ${thread.op.author} (${thread.op.location})\n`;
-    text += `Posted: ${thread.op.createdAt}\n\n`;
-    text += `Original Post:\n${thread.op.body || '(empty)'}\n\n`;
+    text += `Posted: ${formatPostedDate(thread.op)}\n`;
+    if (thread.matchedQueries?.length > 1) {
+      text += `Matched queries: ${thread.matchedQueries.join(', ')}\n`;
+    }
+    text += `\n`;
+    text += `Original Post:\n${thread.op.body || '(empty)'}\n`;
+    text += formatContactsForLLM(thread.op);
+    text += `\n`;
 
     if (thread.comments.length > 0) {
       text += `Comments (${totalComments} total, ${thread.comments.length} top-level):\n`;
@@ -1231,7 +4876,8 @@ async function startAnalysis() {
 
   try {
     const provider = createLLMProvider(data.aiConfig);
-    const threadsText = formatThreadsForLLM(data.lastSearchData.threads, data.lastSearchData.query);
+    const threadsText = formatThreadsForLLM(data.lastSearchData.threads, data.lastSearchData.query) +
+      formatProvidersForLLM(data.lastSearchData.providers);
     const maxTokens = data.aiConfig.maxTokens || 2048;
 
     // Build system prompt with custom user prompt if configured
@@ -1292,7 +4938,8 @@ async function handleChatMessage(userMessage) {
     state.chatHistory.push({ role: 'user', content: userMessage });
 
     // Build context with all accumulated searches
-    let allThreadsContext = formatThreadsForLLM(data.lastSearchData.threads, data.lastSearchData.query);
+    let allThreadsContext = formatThreadsForLLM(data.lastSearchData.threads, data.lastSearchData.query) +
+      formatProvidersForLLM(data.lastSearchData.providers);
 
     // Add any accumulated tool search results
     for (const search of state.accumulatedSearches) {
@@ -0,0 +1,135 @@
+/**
+ * Nextdoor Deep Search - Thread Cache
+ *
+ * IndexedDB store of fetched threads keyed by postId, so repeat deep searches
+ * and AI tool calls don't refetch FeedItem for threads that are still fresh.
+ * Entries record the thread model version they were built with; a thread from
+ * an older model counts as a miss so it is refetched with the current fields.
+ */
+
+const THREAD_CACHE_DB = 'nds-thread-cache';
+const THREAD_CACHE_STORE = 'threads';
+const THREAD_CACHE_VERSION = 1;
+
+// ============================================================================
+// Thread Cache
+// ============================================================================
+
+class ThreadCache {
+  /**
+   * @param {number} modelVersion - Version of the thread model stored in entries
+   */
+  constructor(modelVersion) {
+    this.dbPromise = null;
+    this.modelVersion = modelVersion;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(THREAD_CACHE_DB, THREAD_CACHE_VERSION);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(THREAD_CACHE_STORE, { keyPath: 'postId' });
+          store.createIndex('cachedAt', 'cachedAt');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          // Let the next call try again instead of caching the failure
+          this.dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Runs fn against the object store inside one transaction
+   * @returns {Promise} - Resolves with fn's result once the transaction completes
+   */
+  async withStore(mode, fn) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(THREAD_CACHE_STORE, mode);
+      let result;
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+      result = fn(tx.objectStore(THREAD_CACHE_STORE));
+    });
+  }
+
+  /**
+   * Looks up threads cached at or after a cutoff with the current model version
+   * @param {Array} postIds - Post IDs to look up
+   * @param {number} freshSince - Oldest acceptable cachedAt (epoch ms)
+   * @returns {Map} - postId -> thread for every fresh hit
+   */
+  async getFresh(postIds, freshSince) {
+    const hits = new Map();
+    await this.withStore('readonly', store => {
+      for (const postId of postIds) {
+        const request = store.get(postId);
+        request.onsuccess = () => {
+          const entry = request.result;
+          if (entry && entry.cachedAt >= freshSince && entry.modelVersion === this.modelVersion) {
+            hits.set(postId, entry.thread);
+          }
+        };
+      }
+    });
+    return hits;
+  }
+
+  async put(thread) {
+    const entry = {
+      postId: thread.postId,
+      thread,
+      modelVersion: this.modelVersion,
+      cachedAt: Date.now(),
+      bytes: JSON.stringify(thread).length
+    };
+    await this.withStore('readwrite', store => store.put(entry));
+  }
+
+  /**
+   * @returns {Object} - { count, bytes, oldest } for the options page
+   */
+  async stats() {
+    const stats = { count: 0, bytes: 0, oldest: null };
+    await this.withStore('readonly', store => {
+      const request = store.openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        stats.count++;
+        stats.bytes += cursor.value.bytes || 0;
+        if (stats.oldest === null || cursor.value.cachedAt < stats.oldest) {
+          stats.oldest = cursor.value.cachedAt;
+        }
+        cursor.continue();
+      };
+    });
+    return stats;
+  }
+
+  // Deletes entries cached before the cutoff; returns how many were removed
+  async prune(olderThan) {
+    let removed = 0;
+    await this.withStore('readwrite', store => {
+      const request = store.index('cachedAt').openCursor(IDBKeyRange.upperBound(olderThan, true));
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        cursor.delete();
+        removed++;
+        cursor.continue();
+      };
+    });
+    return removed;
+  }
+
+  async clear() {
+    await this.withStore('readwrite', store => store.clear());
+  }
+}
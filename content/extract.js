@@ -23,27 +23,16 @@
         data
       });
       sendResponse({ acknowledged: true });
-    } else if (message.type === 'FETCH_FEEDITEM') {
-      // Execute fetch from content script context (appears as page request)
-      console.log('[NDS Content] FeedItem fetch requested for:', message.postId);
-      fetchFeedItem(message.postId, message.headers, message.payload)
+    } else if (message.type === 'FETCH_GQL') {
+      // Replay any captured GraphQL operation from the page context (appears as page request)
+      console.log('[NDS Content] GraphQL fetch requested:', message.operation);
+      fetchGraphQL(message.operation, message.headers, message.payload)
         .then(result => {
           sendResponse({ success: true, data: result });
         })
         .catch(error => {
-          sendResponse({ success: false, error: error.message });
-        });
-      return true; // Keep channel open for async response
-    } else if (message.type === 'FETCH_SEARCH') {
-      // Execute searchPost fetch from content script context
-      console.log('[NDS Content] searchPost fetch requested');
-      fetchSearch(message.headers, message.payload)
-        .then(result => {
-          sendResponse({ success: true, data: result });
-        })
-        .catch(error => {
-          console.error('[NDS Content] searchPost error:', error);
-          sendResponse({ success: false, error: error.message });
+          console.error(`[NDS Content] ${message.operation} error:`, error);
+          sendResponse({ success: false, error: error.message, kind: error.kind || 'unknown', status: error.status || null });
         });
       return true; // Keep channel open for async response
     }
@@ -51,51 +40,58 @@
   });
 
   /**
-   * Fetch a FeedItem from MAIN PAGE WORLD (not isolated content script world)
-   * Uses wrappedJSObject to access the page's fetch function
+   * Typed failure for GraphQL fetches so the background can decide whether to
+   * retry. kind is one of: auth, persisted_query, rate_limited, not_found,
+   * server, network, unknown
    */
-  async function fetchFeedItem(postId, headers, payload) {
-    console.log('[NDS Content] Fetching FeedItem via MAIN WORLD:', postId);
-
-    // Remove forbidden headers that browser won't allow
-    const cleanHeaders = { ...headers };
-    delete cleanHeaders['Host'];
-    delete cleanHeaders['Connection'];
-    delete cleanHeaders['Content-Length'];
-    delete cleanHeaders['Cookie']; // Let credentials: 'include' handle cookies
-
-    // Use the page's fetch function via wrappedJSObject to execute in main world
-    const pageWindow = window.wrappedJSObject;
-
-    // Clone data into page world using Firefox's cloneInto
-    const pageHeaders = cloneInto(cleanHeaders, pageWindow);
-    const pageOptions = cloneInto({
-      method: 'POST',
-      headers: pageHeaders,
-      body: JSON.stringify(payload),
-      credentials: 'include',
-      mode: 'cors'
-    }, pageWindow);
-
-    // Call the page's native fetch
-    const response = await pageWindow.fetch('https://nextdoor.com/api/gql/FeedItem?', pageOptions);
-
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}`);
+  class GqlFetchError extends Error {
+    constructor(message, kind, status = null) {
+      super(message);
+      this.name = 'GqlFetchError';
+      this.kind = kind;
+      this.status = status;
     }
+  }
 
-    // Get response text and parse in our world
-    const text = await response.text();
-    return JSON.parse(text);
+  /**
+   * Map an HTTP status (and error body, if any) to a failure kind
+   */
+  function classifyHttpFailure(status, bodyText) {
+    if (/PersistedQueryNotFound|persisted ?query/i.test(bodyText || '')) return 'persisted_query';
+    if (status === 401 || status === 403) return 'auth';
+    if (status === 404 || status === 410) return 'not_found';
+    if (status === 429) return 'rate_limited';
+    if (status >= 500) return 'server';
+    return 'unknown';
   }
 
   /**
-   * Fetch searchPost from MAIN PAGE WORLD (not isolated content script world)
-   * Uses wrappedJSObject to access the page's fetch function
+   * Map GraphQL error messages to a failure kind
    */
-  async function fetchSearch(headers, payload) {
-    console.log('[NDS Content] Fetching searchPost via MAIN WORLD');
+  function classifyGraphQLErrors(errors) {
+    const text = errors.map(e => `${e.message || ''} ${e.extensions?.code || ''}`).join(' ');
+    if (/PersistedQueryNotFound|persisted ?query/i.test(text)) return 'persisted_query';
+    if (/rate.?limit|too many requests|throttl/i.test(text)) return 'rate_limited';
+    if (/unauthori[sz]ed|unauthenticated|forbidden|not logged in|login required/i.test(text)) return 'auth';
+    if (/not.?found|deleted|removed|does not exist|no longer available/i.test(text)) return 'not_found';
+    return 'unknown';
+  }
+
+  const FAILURE_LABELS = {
+    auth: 'Nextdoor session expired',
+    persisted_query: 'Persisted query hash rejected',
+    rate_limited: 'Rate limited by Nextdoor',
+    not_found: 'Post not found or deleted',
+    server: 'Nextdoor server error',
+    unknown: 'Request failed'
+  };
 
+  /**
+   * POST a GraphQL operation from MAIN PAGE WORLD (not isolated content script world)
+   * Uses wrappedJSObject to access the page's fetch function
+   * @throws {GqlFetchError} - Classified failure
+   */
+  async function fetchGraphQL(operation, headers, payload) {
     // Remove forbidden headers that browser won't allow
     const cleanHeaders = { ...headers };
     delete cleanHeaders['Host'];
@@ -103,8 +99,11 @@
     delete cleanHeaders['Content-Length'];
     delete cleanHeaders['Cookie']; // Let credentials: 'include' handle cookies
 
-    console.log('[NDS Content] Headers (cleaned):', cleanHeaders);
-    console.log('[NDS Content] Payload:', payload);
+    // Templates are stored without the CSRF token - read the current one from the cookie
+    const csrf = extractCsrf();
+    if (csrf) {
+      cleanHeaders['X-CSRFToken'] = csrf;
+    }
 
     // Use the page's fetch function via wrappedJSObject to execute in main world
     // This gives us the same context as code running directly in the page
@@ -120,20 +119,46 @@
       mode: 'cors'
     }, pageWindow);
 
-    console.log('[NDS Content] Calling page fetch...');
-
     // Call the page's native fetch
-    const response = await pageWindow.fetch('https://nextdoor.com/api/gql/searchPost?', pageOptions);
+    let response;
+    try {
+      response = await pageWindow.fetch(`https://nextdoor.com/api/gql/${operation}?`, pageOptions);
+    } catch (e) {
+      throw new GqlFetchError(`Network error: ${e.message}`, 'network');
+    }
 
-    console.log('[NDS Content] Response status:', response.status);
+    // Get response text and parse in our world
+    let text;
+    try {
+      text = await response.text();
+    } catch (e) {
+      throw new GqlFetchError(`Network error: ${e.message}`, 'network', response.status);
+    }
 
     if (!response.ok) {
-      throw new Error(`HTTP ${response.status}`);
+      const kind = classifyHttpFailure(response.status, text);
+      throw new GqlFetchError(`${FAILURE_LABELS[kind]} (HTTP ${response.status})`, kind, response.status);
     }
 
-    // Get response text and parse in our world
-    const text = await response.text();
-    return JSON.parse(text);
+    // A login or interstitial page can come back as a 200 HTML document
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch (e) {
+      if (/^\s*</.test(text) || /login|sign[\s_-]?in/i.test(text.slice(0, 2000))) {
+        throw new GqlFetchError(`${FAILURE_LABELS.auth} (got a web page instead of JSON)`, 'auth', response.status);
+      }
+      throw new GqlFetchError(`${FAILURE_LABELS.unknown}: response was not JSON`, 'unknown', response.status);
+    }
+
+    // GraphQL reports most failures as HTTP 200 with an errors array and no data
+    const hasData = json.data && Object.values(json.data).some(v => v != null);
+    if (json.errors?.length && !hasData) {
+      const kind = classifyGraphQLErrors(json.errors);
+      throw new GqlFetchError(`${FAILURE_LABELS[kind]}: ${json.errors[0]?.message || 'GraphQL error'}`, kind, response.status);
+    }
+
+    return json;
   }
 
   /**
@@ -5,6 +5,9 @@
  * 1. Claude API configuration
  * 2. API validation
  * 3. Storage of AI configuration
+ * 4. Deep Search settings
+ * 5. Saved (scheduled) searches
+ * 6. Captured request diagnostics
  */
 
 (function() {
@@ -35,7 +38,32 @@
 
     // Status
     currentStatus: document.getElementById('current-status'),
-    statusText: document.getElementById('status-text')
+    statusText: document.getElementById('status-text'),
+
+    // Search Settings
+    maxThreads: document.getElementById('max-threads'),
+    concurrency: document.getElementById('concurrency'),
+    cacheTtl: document.getElementById('cache-ttl'),
+    cacheStats: document.getElementById('cache-stats'),
+    purgeCacheBtn: document.getElementById('purge-cache-btn'),
+    saveSearchBtn: document.getElementById('save-search-btn'),
+    searchSaveStatus: document.getElementById('search-save-status'),
+
+    // Saved Searches
+    savedSearchQuery: document.getElementById('saved-search-query'),
+    savedSearchInterval: document.getElementById('saved-search-interval'),
+    addSavedSearchBtn: document.getElementById('add-saved-search-btn'),
+    savedSearchList: document.getElementById('saved-search-list'),
+    savedSearchStatus: document.getElementById('saved-search-status'),
+
+    // Template Diagnostics
+    templateList: document.getElementById('template-list'),
+    testTemplatesBtn: document.getElementById('test-templates-btn'),
+    templateTestStatus: document.getElementById('template-test-status'),
+    forgetSessionBtn: document.getElementById('forget-session-btn'),
+    importResultsBtn: document.getElementById('import-results-btn'),
+    importResultsFile: document.getElementById('import-results-file'),
+    importResultsStatus: document.getElementById('import-results-status')
   };
 
   // State
@@ -43,6 +71,23 @@
   let currentConfig = null;
   let defaultPrompt = '';
 
+  const DEFAULT_MAX_THREADS = 200;
+  const MIN_MAX_THREADS = 10;
+  const MAX_MAX_THREADS = 1000;
+  const DEFAULT_CONCURRENCY = 3;
+  const DEFAULT_CACHE_TTL_HOURS = 6;
+  const MAX_CACHE_TTL_HOURS = 720;
+  const INTERVAL_LABELS = { 24: 'Daily', 72: 'Every 3 days', 168: 'Weekly' };
+  const TEMPLATE_LABELS = { searchPost: 'Search (searchPost)', feedItem: 'Post (FeedItem)', commentPage: 'More comments' };
+  const TEMPLATE_STEPS = { searchPost: 'search for anything on Nextdoor', feedItem: 'open any post on Nextdoor', commentPage: 'click "see more comments" on a post' };
+  const HEALTH_LABELS = {
+    ok: 'Working',
+    auth: 'Session expired - log in to Nextdoor again',
+    persisted_query: 'Query hash rejected - capture it again',
+    error: 'Test failed',
+    missing: 'Not captured yet'
+  };
+
   // ============================================================================
   // Initialization
   // ============================================================================
@@ -53,12 +98,31 @@
 
     // Load saved configuration
     await loadConfiguration();
+    await loadSearchSettings();
+    await loadCacheStats();
+    await loadSavedSearches();
+    await loadTemplateInfo();
 
     // Set up event listeners
     elements.claudeToggleKey.addEventListener('click', () => togglePasswordVisibility(elements.claudeApiKey, elements.claudeToggleKey));
     elements.validateBtn.addEventListener('click', validateConfiguration);
     elements.saveBtn.addEventListener('click', saveConfiguration);
     elements.resetPromptBtn.addEventListener('click', resetPromptToDefault);
+    elements.saveSearchBtn.addEventListener('click', saveSearchSettings);
+    elements.purgeCacheBtn.addEventListener('click', purgeCache);
+    elements.addSavedSearchBtn.addEventListener('click', addSavedSearch);
+    elements.savedSearchList.addEventListener('click', handleSavedSearchAction);
+    elements.savedSearchList.addEventListener('change', handleSavedSearchAction);
+    elements.testTemplatesBtn.addEventListener('click', testTemplates);
+    elements.forgetSessionBtn.addEventListener('click', forgetSessionData);
+    elements.importResultsBtn.addEventListener('click', () => elements.importResultsFile.click());
+    elements.importResultsFile.addEventListener('change', importResults);
+
+    // Scheduled runs update storage in the background - keep the list current
+    browser.storage.onChanged.addListener((changes) => {
+      if (changes.savedSearches) loadSavedSearches();
+      if (changes.capturedOperations || changes.templateHealth) loadTemplateInfo();
+    });
 
     // Enable validation when inputs change
     [elements.claudeApiKey, elements.claudeModel].forEach(el => {
@@ -233,6 +297,359 @@
     }
   }
 
+  // ============================================================================
+  // Search Settings
+  // ============================================================================
+
+  async function loadSearchSettings() {
+    try {
+      const data = await browser.storage.local.get('searchConfig');
+      const searchConfig = data.searchConfig || {};
+      elements.maxThreads.value = searchConfig.maxThreads || DEFAULT_MAX_THREADS;
+      elements.concurrency.value = searchConfig.concurrency || DEFAULT_CONCURRENCY;
+      elements.cacheTtl.value = searchConfig.cacheTtlHours ?? DEFAULT_CACHE_TTL_HOURS;
+    } catch (e) {
+      console.error('[NDS Options] Error loading search settings:', e);
+    }
+  }
+
+  async function saveSearchSettings() {
+    // Same ranges as the inputs' min and max, which typed values can get around
+    const parsedMax = parseInt(elements.maxThreads.value, 10);
+    const maxThreads = Number.isNaN(parsedMax) ? DEFAULT_MAX_THREADS : Math.min(MAX_MAX_THREADS, Math.max(MIN_MAX_THREADS, parsedMax));
+    const concurrency = parseInt(elements.concurrency.value, 10) || DEFAULT_CONCURRENCY;
+    const parsedTtl = parseInt(elements.cacheTtl.value, 10);
+    const cacheTtlHours = Number.isNaN(parsedTtl) ? DEFAULT_CACHE_TTL_HOURS : Math.min(MAX_CACHE_TTL_HOURS, Math.max(0, parsedTtl));
+
+    try {
+      const data = await browser.storage.local.get('searchConfig');
+      const searchConfig = { ...(data.searchConfig || {}), maxThreads, concurrency, cacheTtlHours };
+      await browser.storage.local.set({ searchConfig });
+      elements.maxThreads.value = maxThreads;
+      elements.cacheTtl.value = cacheTtlHours;
+      elements.searchSaveStatus.textContent = 'Search settings saved.';
+      console.log('[NDS Options] Search settings saved:', searchConfig);
+    } catch (e) {
+      console.error('[NDS Options] Error saving search settings:', e);
+      elements.searchSaveStatus.textContent = 'Failed to save search settings';
+    }
+  }
+
+  // ============================================================================
+  // Thread Cache
+  // ============================================================================
+
+  function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  async function loadCacheStats() {
+    try {
+      const response = await browser.runtime.sendMessage({ type: 'GET_CACHE_STATS' });
+      if (response.type === 'ERROR') {
+        elements.cacheStats.textContent = 'Cache unavailable: ' + response.data.message;
+        return;
+      }
+      const { count, bytes, oldest } = response.data;
+      elements.cacheStats.textContent = count === 0
+        ? 'Cache is empty'
+        : `Cache: ${count} thread${count !== 1 ? 's' : ''}, ${formatBytes(bytes)} (oldest ${new Date(oldest).toLocaleDateString()})`;
+      elements.purgeCacheBtn.disabled = count === 0;
+    } catch (e) {
+      console.error('[NDS Options] Error loading cache stats:', e);
+      elements.cacheStats.textContent = 'Cache: --';
+    }
+  }
+
+  async function purgeCache() {
+    try {
+      await browser.runtime.sendMessage({ type: 'PURGE_CACHE' });
+      console.log('[NDS Options] Thread cache purged');
+      await loadCacheStats();
+    } catch (e) {
+      console.error('[NDS Options] Error purging cache:', e);
+      elements.cacheStats.textContent = 'Failed to purge cache';
+    }
+  }
+
+  // ============================================================================
+  // Saved Searches
+  // ============================================================================
+
+  async function loadSavedSearches() {
+    try {
+      const response = await browser.runtime.sendMessage({ type: 'GET_SAVED_SEARCHES' });
+      renderSavedSearches(response?.data || []);
+    } catch (e) {
+      console.error('[NDS Options] Error loading saved searches:', e);
+    }
+  }
+
+  function describeSavedSearchRun(search) {
+    if (search.pending) return 'Due - waiting for a Nextdoor tab';
+    if (search.lastError) return `Last run failed: ${search.lastError}`;
+    if (!search.lastRunAt) return 'Not run yet';
+
+    const when = new Date(search.lastRunAt).toLocaleString();
+    const changes = search.lastChanges;
+    const failed = changes?.failed ? ` (${changes.failed} thread${changes.failed !== 1 ? 's' : ''} couldn't be checked)` : '';
+    if (!changes || (changes.newThreads === 0 && changes.newComments === 0)) {
+      return `Last run ${when}: nothing new${failed}`;
+    }
+    return `Last run ${when}: ${changes.newThreads} new threads, ${changes.newComments} new comments${failed}`;
+  }
+
+  function renderSavedSearches(savedSearches) {
+    elements.savedSearchList.innerHTML = '';
+
+    for (const search of savedSearches) {
+      const item = document.createElement('li');
+      item.className = 'saved-search-item';
+      item.dataset.id = search.id;
+
+      const enabled = document.createElement('input');
+      enabled.type = 'checkbox';
+      enabled.checked = search.enabled;
+      enabled.dataset.action = 'toggle';
+      enabled.title = search.enabled ? 'Scheduled' : 'Paused';
+
+      const info = document.createElement('div');
+      info.className = 'saved-search-info';
+      const query = document.createElement('div');
+      query.className = 'saved-search-query';
+      query.textContent = `"${search.query}" · ${INTERVAL_LABELS[search.intervalHours] || `Every ${search.intervalHours}h`}`;
+      const meta = document.createElement('div');
+      meta.className = 'saved-search-meta' + (search.lastError ? ' error' : '');
+      meta.textContent = describeSavedSearchRun(search);
+      info.append(query, meta);
+
+      const runBtn = document.createElement('button');
+      runBtn.className = 'btn btn-secondary';
+      runBtn.dataset.action = 'run';
+      runBtn.textContent = 'Run now';
+
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'btn btn-secondary';
+      deleteBtn.dataset.action = 'delete';
+      deleteBtn.textContent = 'Delete';
+
+      item.append(enabled, info, runBtn, deleteBtn);
+      elements.savedSearchList.appendChild(item);
+    }
+
+    if (savedSearches.length === 0) {
+      elements.savedSearchStatus.textContent = 'No saved searches yet.';
+    } else {
+      elements.savedSearchStatus.textContent = '';
+    }
+  }
+
+  async function addSavedSearch() {
+    const query = elements.savedSearchQuery.value.trim();
+    if (!query) {
+      elements.savedSearchStatus.textContent = 'Enter a query to save';
+      return;
+    }
+
+    try {
+      const response = await browser.runtime.sendMessage({
+        type: 'SAVE_SAVED_SEARCH',
+        data: { query, intervalHours: parseInt(elements.savedSearchInterval.value, 10) }
+      });
+      if (response.type === 'ERROR') {
+        elements.savedSearchStatus.textContent = response.data.message;
+        return;
+      }
+      elements.savedSearchQuery.value = '';
+      await loadSavedSearches();
+    } catch (e) {
+      console.error('[NDS Options] Error adding saved search:', e);
+      elements.savedSearchStatus.textContent = 'Failed to save search';
+    }
+  }
+
+  async function handleSavedSearchAction(e) {
+    const action = e.target.dataset.action;
+    const item = e.target.closest('.saved-search-item');
+    if (!action || !item) return;
+    // Checkbox fires both click and change - only act on change
+    if (action === 'toggle' && e.type !== 'change') return;
+
+    const id = item.dataset.id;
+    try {
+      if (action === 'toggle') {
+        const response = await browser.runtime.sendMessage({ type: 'GET_SAVED_SEARCHES' });
+        const search = response.data.find(s => s.id === id);
+        if (!search) return;
+        await browser.runtime.sendMessage({
+          type: 'SAVE_SAVED_SEARCH',
+          data: { id, query: search.query, intervalHours: search.intervalHours, enabled: e.target.checked }
+        });
+        console.log('[NDS Options] Saved search toggled:', search.query, e.target.checked);
+      } else if (action === 'run') {
+        // The storage listener re-renders the list once the run records its outcome
+        e.target.disabled = true;
+        e.target.textContent = 'Running...';
+        const response = await browser.runtime.sendMessage({ type: 'RUN_SAVED_SEARCH', data: { id } });
+        if (response.type !== 'ERROR') return;
+        elements.savedSearchStatus.textContent = response.data.message;
+      } else if (action === 'delete') {
+        await browser.runtime.sendMessage({ type: 'DELETE_SAVED_SEARCH', data: { id } });
+      }
+      await loadSavedSearches();
+    } catch (err) {
+      console.error('[NDS Options] Saved search action failed:', err);
+      elements.savedSearchStatus.textContent = 'Action failed: ' + err.message;
+    }
+  }
+
+  // ============================================================================
+  // Template Diagnostics
+  // ============================================================================
+
+  function formatAge(timestamp) {
+    const minutes = Math.floor((Date.now() - timestamp) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 48) return `${hours} h ago`;
+    return `${Math.floor(hours / 24)} days ago`;
+  }
+
+  function describeTemplateHealth(template) {
+    const health = template.health;
+    // Health recorded for an earlier capture doesn't apply to this one
+    if (!health || health.capturedAt !== template.capturedAt) return { text: 'Not tested yet', className: '' };
+    const when = formatAge(health.checkedAt);
+    const via = health.source === 'test' ? 'tested' : 'last used';
+    const label = HEALTH_LABELS[health.status] || health.status;
+    return {
+      text: `${label} (${via} ${when})${health.status !== 'ok' && health.message ? `: ${health.message}` : ''}`,
+      className: health.status === 'ok' ? 'ok' : 'error'
+    };
+  }
+
+  async function loadTemplateInfo() {
+    try {
+      const response = await browser.runtime.sendMessage({ type: 'GET_TEMPLATE_INFO' });
+      renderTemplateInfo(response?.data || []);
+    } catch (e) {
+      console.error('[NDS Options] Error loading template info:', e);
+    }
+  }
+
+  function renderTemplateInfo(templates) {
+    elements.templateList.innerHTML = '';
+
+    for (const template of templates) {
+      const item = document.createElement('li');
+      item.className = 'template-item';
+
+      const name = document.createElement('div');
+      name.className = 'template-name';
+      name.textContent = TEMPLATE_LABELS[template.operation] || template.operation;
+
+      const details = document.createElement('div');
+      details.className = 'template-meta';
+      const health = document.createElement('div');
+
+      if (!template.captured) {
+        details.textContent = `Not captured - ${TEMPLATE_STEPS[template.operation]} to capture it`;
+        health.className = 'template-meta';
+      } else {
+        const parts = [
+          template.operationName,
+          `hash ${template.hash ? template.hash.substring(0, 12) + '…' : 'none'}`,
+          template.capturedAt ? `captured ${formatAge(template.capturedAt)}` : null,
+          `${template.headerCount} headers`,
+          template.tabId != null ? `tab ${template.tabId}${template.tabOpen ? '' : ' (closed)'}` : null
+        ].filter(Boolean);
+        details.textContent = parts.join(' · ');
+        details.title = [template.hash, template.pageUrl].filter(Boolean).join('\n');
+
+        const { text, className } = describeTemplateHealth(template);
+        health.className = `template-health ${className}`;
+        health.textContent = template.stale ? `Stale - ${text}` : text;
+      }
+
+      item.append(name, details, health);
+      elements.templateList.appendChild(item);
+    }
+  }
+
+  async function testTemplates() {
+    elements.testTemplatesBtn.disabled = true;
+    elements.templateTestStatus.textContent = 'Testing...';
+    try {
+      const response = await browser.runtime.sendMessage({ type: 'TEST_TEMPLATES' });
+      if (response.type === 'ERROR') {
+        elements.templateTestStatus.textContent = response.data.message;
+        return;
+      }
+      const summary = Object.entries(response.data).map(([operation, result]) =>
+        `${TEMPLATE_LABELS[operation]}: ${HEALTH_LABELS[result.status] || result.status}` +
+        (result.status === 'ok' ? ` (${result.durationMs} ms)` : '')
+      );
+      elements.templateTestStatus.textContent = summary.join(' · ');
+      console.log('[NDS Options] Template test results:', response.data);
+      await loadTemplateInfo();
+    } catch (e) {
+      console.error('[NDS Options] Template test failed:', e);
+      elements.templateTestStatus.textContent = 'Test failed: ' + e.message;
+    } finally {
+      elements.testTemplatesBtn.disabled = false;
+    }
+  }
+
+  async function forgetSessionData() {
+    if (!confirm('Delete captured Nextdoor requests, your UTI and all debug logs?')) return;
+
+    try {
+      const response = await browser.runtime.sendMessage({ type: 'FORGET_SESSION_DATA' });
+      if (response.type === 'ERROR') {
+        elements.templateTestStatus.textContent = response.data.message;
+        return;
+      }
+      elements.templateTestStatus.textContent = 'Session data deleted';
+      console.log('[NDS Options] Nextdoor session data forgotten');
+      await loadTemplateInfo();
+    } catch (e) {
+      console.error('[NDS Options] Error forgetting session data:', e);
+      elements.templateTestStatus.textContent = 'Failed to delete session data';
+    }
+  }
+
+  // ============================================================================
+  // Import Results
+  // ============================================================================
+
+  async function importResults() {
+    const file = elements.importResultsFile.files[0];
+    elements.importResultsFile.value = '';
+    if (!file) return;
+    const { lastSearchData } = await browser.storage.local.get('lastSearchData');
+    if (lastSearchData && !confirm(`Replace the results for "${lastSearchData.query}" with ${file.name}?`)) return;
+
+    elements.importResultsStatus.textContent = 'Importing...';
+    try {
+      const response = await browser.runtime.sendMessage({
+        type: 'IMPORT_RESULTS',
+        data: { text: await file.text(), openResults: true }
+      });
+      if (response.type === 'ERROR') {
+        elements.importResultsStatus.textContent = 'Import failed: ' + response.data.message;
+        return;
+      }
+      const { query, threads } = response.data;
+      elements.importResultsStatus.textContent = `Imported ${threads} thread${threads !== 1 ? 's' : ''} for "${query}"`;
+    } catch (e) {
+      console.error('[NDS Options] Error importing results:', e);
+      elements.importResultsStatus.textContent = 'Import failed: ' + e.message;
+    }
+  }
+
   // ============================================================================
   // UI Updates
   // ============================================================================
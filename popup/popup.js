@@ -6,6 +6,11 @@
  * 2. Deep Search button action
  * 3. Progress updates during search
  * 4. Result display
+ * 5. Pause / resume / stop of a running search
+ * 6. Resuming a search interrupted by a restart or closed tab
+ * 7. Multi-query batch input
+ * 8. Search scope / date / sort filters
+ * 9. Neighborhood feed crawl mode
  */
 
 (function() {
@@ -23,12 +28,29 @@
     stepThread: document.getElementById('step-thread'),
     stepThreadIcon: document.getElementById('step-thread-icon'),
     stepThreadHint: document.getElementById('step-thread-hint'),
+    modeButtons: document.querySelectorAll('.mode-btn'),
+    queriesSection: document.getElementById('queries-section'),
+    queriesInput: document.getElementById('queries-input'),
+    filtersSection: document.getElementById('filters-section'),
+    feedSection: document.getElementById('feed-section'),
+    feedDays: document.getElementById('feed-days'),
+    feedMax: document.getElementById('feed-max'),
+    filterSelects: document.querySelectorAll('.filter-select[data-filter]'),
+    filtersUnsupported: document.getElementById('filters-unsupported'),
+    forceRefresh: document.getElementById('force-refresh'),
     message: document.getElementById('message'),
     progressSection: document.getElementById('progress-section'),
     progressBar: document.getElementById('progress-bar'),
     progressText: document.getElementById('progress-text'),
     errorCount: document.getElementById('error-count'),
     searchBtn: document.getElementById('search-btn'),
+    interruptedSection: document.getElementById('interrupted-section'),
+    interruptedText: document.getElementById('interrupted-text'),
+    resumeInterruptedBtn: document.getElementById('resume-interrupted-btn'),
+    discardInterruptedBtn: document.getElementById('discard-interrupted-btn'),
+    runControls: document.getElementById('run-controls'),
+    pauseBtn: document.getElementById('pause-btn'),
+    cancelBtn: document.getElementById('cancel-btn'),
     settingsBtn: document.getElementById('settings-btn'),
     resultSection: document.getElementById('result-section'),
     resultQuery: document.getElementById('result-query'),
@@ -41,7 +63,10 @@
 
   // State
   let isRunning = false;
+  let isPaused = false;
   let port = null;
+  let lastStatus = null;
+  let mode = 'search'; // 'search' or 'feed'
 
   // ============================================================================
   // Initialization
@@ -50,6 +75,15 @@
   async function init() {
     // Set up button click handlers
     elements.searchBtn.addEventListener('click', startSearch);
+    elements.pauseBtn.addEventListener('click', togglePause);
+    elements.cancelBtn.addEventListener('click', cancelSearch);
+    elements.resumeInterruptedBtn.addEventListener('click', resumeInterruptedSearch);
+    elements.discardInterruptedBtn.addEventListener('click', discardInterruptedSearch);
+    elements.queriesInput.addEventListener('input', handleQueriesInput);
+    elements.filterSelects.forEach(select => select.addEventListener('change', saveFilters));
+    elements.modeButtons.forEach(btn => btn.addEventListener('click', () => setMode(btn.dataset.mode)));
+    elements.feedDays.addEventListener('change', saveFeedOptions);
+    elements.feedMax.addEventListener('change', saveFeedOptions);
     elements.settingsBtn.addEventListener('click', openSettings);
     elements.viewResultsLink.addEventListener('click', viewResults);
 
@@ -59,6 +93,9 @@
 
     // Get initial status
     await refreshStatus();
+    await loadQueries();
+    await loadFilters();
+    await loadFeedOptions();
   }
 
   // ============================================================================
@@ -76,6 +113,8 @@
   }
 
   function updateUI(status) {
+    lastStatus = status;
+
     // Update stepper
     updateStepper(status);
 
@@ -91,6 +130,7 @@
 
     // Running state
     isRunning = status.isRunning;
+    isPaused = !!status.isPaused;
 
     if (isRunning) {
       elements.searchBtn.textContent = 'Searching...';
@@ -98,25 +138,40 @@
       elements.searchBtn.classList.add('running');
       elements.progressSection.style.display = 'block';
       updateProgress(status.progress);
+      showRunControls(status.isCancelling);
     } else {
       elements.searchBtn.classList.remove('running');
       elements.progressSection.style.display = 'none';
+      hideRunControls();
     }
 
     // Message and button state
     updateMessageAndButton(status);
 
+    // Filters the captured template can't express
+    updateFilterSupport(status.searchFilterSupport);
+
+    // Interrupted search offer
+    updateInterrupted(status.interruptedSearch);
+
     // Last result
     if (status.lastResult) {
       showResult(status.lastResult);
     }
   }
 
+  function getStaleTemplate(status, operation) {
+    return (status.staleTemplates || []).find(t => t.operation === operation) || null;
+  }
+
   function updateStepper(status) {
+    // A stale template sends the user back to the step that captures it
+    const staleSearch = getStaleTemplate(status, 'searchPost');
+    const staleThread = getStaleTemplate(status, 'feedItem');
     const steps = [
       { done: status.hasUti, el: elements.stepBrowse, icon: elements.stepBrowseIcon, hint: elements.stepBrowseHint, num: '1', hintText: 'Go to nextdoor.com' },
-      { done: status.hasSearchPostTemplate, el: elements.stepSearch, icon: elements.stepSearchIcon, hint: elements.stepSearchHint, num: '2', hintText: 'Search for anything on Nextdoor' },
-      { done: status.hasFeedItemTemplate, el: elements.stepThread, icon: elements.stepThreadIcon, hint: elements.stepThreadHint, num: '3', hintText: 'Click any post on Nextdoor' },
+      { done: status.hasSearchPostTemplate && !staleSearch, el: elements.stepSearch, icon: elements.stepSearchIcon, hint: elements.stepSearchHint, num: '2', hintText: staleSearch ? `Stale: ${staleSearch.hint}` : 'Search for anything on Nextdoor' },
+      { done: status.hasFeedItemTemplate && !staleThread, el: elements.stepThread, icon: elements.stepThreadIcon, hint: elements.stepThreadHint, num: '3', hintText: staleThread ? `Stale: ${staleThread.hint}` : 'Click any post on Nextdoor' },
     ];
 
     let firstIncomplete = -1;
@@ -151,7 +206,18 @@
 
   function updateMessageAndButton(status) {
     if (isRunning) {
-      showMessage('info', 'Deep search in progress...');
+      if (status.isCancelling) {
+        showMessage('warning', 'Stopping search...');
+      } else if (isPaused) {
+        showMessage('warning', 'Search paused');
+      } else {
+        showMessage('info', 'Deep search in progress...');
+      }
+      return;
+    }
+
+    if (mode === 'feed') {
+      updateFeedMessageAndButton(status);
       return;
     }
 
@@ -164,15 +230,183 @@
     } else if (!status.isOnNextdoor) {
       showMessage('info', 'Navigate to nextdoor.com to use Deep Search');
       elements.searchBtn.disabled = true;
-    } else if (status.query || status.lastQuery) {
-      const q = status.query || status.lastQuery;
-      showMessage('info', `"${q}" — extract all comments and details`);
+    } else if (status.staleTemplates?.length > 0) {
+      // Still allow a try - a successful request clears the stale flag
+      showMessage('warning', 'Captured requests look stale — redo the highlighted step before searching');
+      elements.searchBtn.disabled = false;
+    } else if (getQueries().length > 1) {
+      showMessage('info', `${getQueries().length} queries — extract and merge all threads`);
+      elements.searchBtn.disabled = false;
+    } else if (getQueries().length === 1) {
+      showMessage('info', `"${getQueries()[0]}" — extract all comments and details`);
       elements.searchBtn.disabled = false;
     } else {
       showMessage('info', 'Search on Nextdoor first, then click Deep Search to extract full details');
       elements.searchBtn.disabled = true;
     }
-    elements.searchBtn.textContent = 'Deep Search';
+    elements.searchBtn.textContent = getIdleButtonLabel();
+  }
+
+  // ============================================================================
+  // Queries
+  // ============================================================================
+
+  function getQueries() {
+    return elements.queriesInput.value.split('\n').map(q => q.trim()).filter(Boolean);
+  }
+
+  // A saved multi-line batch wins; otherwise follow the query of the current Nextdoor page
+  async function loadQueries() {
+    try {
+      const data = await browser.storage.local.get('queryDraft');
+      const draft = data.queryDraft || '';
+      const pageQuery = lastStatus?.query || lastStatus?.lastQuery || '';
+      const draftLines = draft.split('\n').filter(l => l.trim());
+
+      elements.queriesInput.value = draftLines.length > 1 ? draft : (pageQuery || draft);
+      if (lastStatus) updateMessageAndButton(lastStatus);
+    } catch (e) {
+      console.error('[NDS Popup] Error loading queries:', e);
+    }
+  }
+
+  function handleQueriesInput() {
+    browser.storage.local.set({ queryDraft: elements.queriesInput.value });
+    if (lastStatus) updateMessageAndButton(lastStatus);
+  }
+
+  // ============================================================================
+  // Filters
+  // ============================================================================
+
+  const FILTER_LABELS = { scope: 'area', dateRange: 'date range', sort: 'sort order' };
+
+  // Only options the user changed are sent - defaults leave the template untouched
+  function getFilters() {
+    const filters = {};
+    elements.filterSelects.forEach(select => {
+      if (select.value && !select.disabled) filters[select.dataset.filter] = select.value;
+    });
+    return filters;
+  }
+
+  async function loadFilters() {
+    try {
+      const data = await browser.storage.local.get('searchFilters');
+      const saved = data.searchFilters || {};
+      elements.filterSelects.forEach(select => {
+        select.value = saved[select.dataset.filter] || '';
+      });
+    } catch (e) {
+      console.error('[NDS Popup] Error loading filters:', e);
+    }
+  }
+
+  function saveFilters() {
+    const filters = {};
+    elements.filterSelects.forEach(select => {
+      filters[select.dataset.filter] = select.value;
+    });
+    browser.storage.local.set({ searchFilters: filters });
+  }
+
+  function updateFilterSupport(support) {
+    if (!support) return;
+
+    const unsupported = [];
+    elements.filterSelects.forEach(select => {
+      const option = select.dataset.filter;
+      const supported = support[option];
+      // Only choices Nextdoor has been seen to accept - the default ('') always works
+      for (const choice of select.options) {
+        choice.disabled = !!choice.value && !supported?.choices.includes(choice.value);
+      }
+      if (select.selectedOptions[0]?.disabled) select.value = '';
+      select.disabled = !supported;
+      select.title = supported
+        ? `Sets "${supported.field}" on the captured search`
+        : `No ${FILTER_LABELS[option]} value captured from Nextdoor yet`;
+      if (!supported) unsupported.push(FILTER_LABELS[option]);
+    });
+
+    if (unsupported.length > 0 && lastStatus?.hasSearchPostTemplate && mode === 'search') {
+      elements.filtersUnsupported.textContent = `Not supported by the captured search: ${unsupported.join(', ')}. ` +
+        'Use that filter on Nextdoor once to capture it.';
+      elements.filtersUnsupported.style.display = 'block';
+    } else {
+      elements.filtersUnsupported.style.display = 'none';
+    }
+  }
+
+  // ============================================================================
+  // Feed Crawl Mode
+  // ============================================================================
+
+  function setMode(newMode) {
+    if (isRunning) return;
+    mode = newMode === 'feed' ? 'feed' : 'search';
+    elements.modeButtons.forEach(btn => btn.classList.toggle('active', btn.dataset.mode === mode));
+
+    const isFeed = mode === 'feed';
+    elements.queriesSection.style.display = isFeed ? 'none' : '';
+    elements.filtersSection.style.display = isFeed ? 'none' : '';
+    elements.feedSection.style.display = isFeed ? 'flex' : 'none';
+    if (isFeed) {
+      elements.filtersUnsupported.style.display = 'none';
+    } else if (lastStatus) {
+      updateFilterSupport(lastStatus.searchFilterSupport);
+    }
+
+    browser.storage.local.set({ popupMode: mode });
+    if (lastStatus) updateMessageAndButton(lastStatus);
+  }
+
+  function getIdleButtonLabel() {
+    return mode === 'feed' ? 'Crawl Feed' : 'Deep Search';
+  }
+
+  function getFeedOptions() {
+    return {
+      days: parseInt(elements.feedDays.value, 10),
+      maxThreads: parseInt(elements.feedMax.value, 10) || 100
+    };
+  }
+
+  async function loadFeedOptions() {
+    try {
+      const data = await browser.storage.local.get(['popupMode', 'feedCrawlOptions']);
+      const saved = data.feedCrawlOptions || {};
+      if (saved.days) elements.feedDays.value = String(saved.days);
+      if (saved.maxThreads) elements.feedMax.value = saved.maxThreads;
+      setMode(data.popupMode || 'search');
+    } catch (e) {
+      console.error('[NDS Popup] Error loading feed options:', e);
+    }
+  }
+
+  function saveFeedOptions() {
+    browser.storage.local.set({ feedCrawlOptions: getFeedOptions() });
+    if (lastStatus) updateMessageAndButton(lastStatus);
+  }
+
+  function updateFeedMessageAndButton(status) {
+    elements.searchBtn.textContent = getIdleButtonLabel();
+
+    if (!status.hasUti || !status.hasFeedItemTemplate) {
+      // Stepper handles the instructions; hide the message
+      hideMessage();
+      elements.searchBtn.disabled = true;
+    } else if (!status.hasMainFeedTemplate) {
+      showMessage('warning', 'Scroll your Nextdoor home feed once so the feed request can be captured');
+      elements.searchBtn.disabled = true;
+    } else if (!status.isOnNextdoor) {
+      showMessage('info', 'Navigate to nextdoor.com to crawl the feed');
+      elements.searchBtn.disabled = true;
+    } else {
+      const { days, maxThreads } = getFeedOptions();
+      showMessage('info', `Everything posted in the last ${days} day${days !== 1 ? 's' : ''} (up to ${maxThreads} posts)`);
+      elements.searchBtn.disabled = false;
+    }
   }
 
   // ============================================================================
@@ -195,11 +429,26 @@
   function updateProgress(progress) {
     if (!progress) return;
 
-    const { current, total, errors } = progress;
-    const percent = total > 0 ? (current / total) * 100 : 0;
+    const { phase, current, total, errors, pages, found, cached, queryIndex, queryCount } = progress;
+    const pageLabel = `${pages || 0} page${pages !== 1 ? 's' : ''}` + (cached > 0 ? `, ${cached} cached` : '');
 
-    elements.progressBar.style.width = `${percent}%`;
-    elements.progressText.textContent = `${current} / ${total}`;
+    if (phase === 'searching') {
+      // Post count is unknown until the cursor runs out - no meaningful percentage yet
+      const queryLabel = queryCount > 1 ? `Query ${queryIndex + 1}/${queryCount}: ` : '';
+      const action = progress.source === 'feed' ? 'Crawling feed' : 'Searching';
+      elements.progressBar.style.width = '0%';
+      elements.progressText.textContent = `${queryLabel}${action}... ${pageLabel}, ${found || 0} threads found`;
+    } else if (phase === 'enriching') {
+      const percent = total > 0 ? (current / total) * 100 : 100;
+      elements.progressBar.style.width = `${percent}%`;
+      elements.progressText.textContent = total > 0
+        ? `Looking up businesses... ${current} / ${total}`
+        : 'Looking up tagged businesses...';
+    } else {
+      const percent = total > 0 ? (current / total) * 100 : 0;
+      elements.progressBar.style.width = `${percent}%`;
+      elements.progressText.textContent = `${current} / ${total} threads (${pageLabel})`;
+    }
     elements.errorCount.textContent = errors > 0 ? `(${errors} errors)` : '';
   }
 
@@ -232,17 +481,138 @@
       elements.progressBar.style.width = '0%';
       elements.progressText.textContent = 'Starting...';
       elements.errorCount.textContent = '';
+      elements.interruptedSection.style.display = 'none';
       showMessage('info', 'Deep search in progress...');
-
-      await browser.runtime.sendMessage({ type: 'START_SEARCH' });
+      isPaused = false;
+      showRunControls(false);
+
+      const response = mode === 'feed'
+        ? await browser.runtime.sendMessage({ type: 'START_FEED_CRAWL', data: {
+          ...getFeedOptions(),
+          forceRefresh: elements.forceRefresh.checked
+        } })
+        : await browser.runtime.sendMessage({ type: 'START_SEARCH', data: {
+          queries: getQueries(),
+          filters: getFilters(),
+          forceRefresh: elements.forceRefresh.checked
+        } });
+      // Refused while another search or a saved search is running
+      if (response?.type === 'ERROR') throw new Error(response.data.message);
     } catch (e) {
       console.error('[NDS Popup] Error starting search:', e);
       showMessage('error', 'Failed to start search: ' + e.message);
       isRunning = false;
-      elements.searchBtn.textContent = 'Deep Search';
+      elements.searchBtn.textContent = getIdleButtonLabel();
       elements.searchBtn.disabled = false;
       elements.searchBtn.classList.remove('running');
       elements.progressSection.style.display = 'none';
+      hideRunControls();
+    }
+  }
+
+  // ============================================================================
+  // Pause / Resume / Stop
+  // ============================================================================
+
+  function showRunControls(isCancelling) {
+    elements.runControls.style.display = 'flex';
+    elements.pauseBtn.textContent = isPaused ? 'Resume' : 'Pause';
+    elements.pauseBtn.disabled = !!isCancelling;
+    elements.cancelBtn.disabled = !!isCancelling;
+  }
+
+  function hideRunControls() {
+    elements.runControls.style.display = 'none';
+  }
+
+  async function togglePause() {
+    if (!isRunning) return;
+
+    const type = isPaused ? 'RESUME_SEARCH' : 'PAUSE_SEARCH';
+    try {
+      const response = await browser.runtime.sendMessage({ type });
+      if (response.type === 'ERROR') {
+        showMessage('error', response.data.message);
+        return;
+      }
+      isPaused = !isPaused;
+      showRunControls(false);
+      showMessage(isPaused ? 'warning' : 'info', isPaused ? 'Search paused' : 'Deep search in progress...');
+    } catch (e) {
+      console.error('[NDS Popup] Error toggling pause:', e);
+      showMessage('error', 'Failed to pause search: ' + e.message);
+    }
+  }
+
+  async function cancelSearch() {
+    if (!isRunning) return;
+
+    try {
+      const response = await browser.runtime.sendMessage({ type: 'CANCEL_SEARCH' });
+      if (response.type === 'ERROR') {
+        showMessage('error', response.data.message);
+        return;
+      }
+      showRunControls(true);
+      showMessage('warning', 'Stopping search...');
+    } catch (e) {
+      console.error('[NDS Popup] Error cancelling search:', e);
+      showMessage('error', 'Failed to stop search: ' + e.message);
+    }
+  }
+
+  // ============================================================================
+  // Interrupted Search
+  // ============================================================================
+
+  function updateInterrupted(interrupted) {
+    if (!interrupted || isRunning) {
+      elements.interruptedSection.style.display = 'none';
+      return;
+    }
+
+    const when = new Date(interrupted.updatedAt).toLocaleString();
+    const detail = interrupted.phase === 'fetching'
+      ? `${interrupted.fetched} of ${interrupted.total} threads fetched`
+      : `${interrupted.total} posts found, still searching`;
+    elements.interruptedText.textContent = `"${interrupted.query}" was interrupted (${detail}, ${when})`;
+    elements.interruptedSection.style.display = 'block';
+  }
+
+  async function resumeInterruptedSearch() {
+    if (isRunning) return;
+
+    try {
+      const response = await browser.runtime.sendMessage({ type: 'RESUME_INTERRUPTED_SEARCH' });
+      if (response.type === 'ERROR') {
+        showMessage('error', response.data.message);
+        return;
+      }
+
+      isRunning = true;
+      isPaused = false;
+      elements.interruptedSection.style.display = 'none';
+      elements.searchBtn.textContent = 'Searching...';
+      elements.searchBtn.disabled = true;
+      elements.searchBtn.classList.add('running');
+      elements.resultSection.style.display = 'none';
+      elements.progressSection.style.display = 'block';
+      elements.progressText.textContent = 'Resuming...';
+      elements.errorCount.textContent = '';
+      showRunControls(false);
+      showMessage('info', 'Deep search in progress...');
+    } catch (e) {
+      console.error('[NDS Popup] Error resuming search:', e);
+      showMessage('error', 'Failed to resume search: ' + e.message);
+    }
+  }
+
+  async function discardInterruptedSearch() {
+    try {
+      await browser.runtime.sendMessage({ type: 'DISCARD_INTERRUPTED_SEARCH' });
+      elements.interruptedSection.style.display = 'none';
+    } catch (e) {
+      console.error('[NDS Popup] Error discarding interrupted search:', e);
     }
   }
 
@@ -260,18 +630,30 @@
 
       case 'COMPLETE':
         isRunning = false;
-        elements.searchBtn.textContent = 'Deep Search';
+        isPaused = false;
+        hideRunControls();
+        elements.searchBtn.textContent = getIdleButtonLabel();
         elements.searchBtn.disabled = false;
         elements.searchBtn.classList.remove('running');
-        showMessage('success', 'Search complete! Results opened in new tab.');
         showResult(message.data);
+        if (message.data.cancelled && !message.data.threads) {
+          // Nothing fetched yet - keep the popup open so the user sees what happened
+          elements.progressSection.style.display = 'none';
+          showMessage('warning', 'Search stopped before any threads were fetched.');
+          break;
+        }
+        showMessage('success', message.data.cancelled
+          ? 'Search stopped. Threads fetched so far opened in new tab.'
+          : 'Search complete! Results opened in new tab.');
         refreshStatus(); // Update session count
         window.close(); // Close popup after search completes
         break;
 
       case 'ERROR':
         isRunning = false;
-        elements.searchBtn.textContent = 'Deep Search';
+        isPaused = false;
+        hideRunControls();
+        elements.searchBtn.textContent = getIdleButtonLabel();
         elements.searchBtn.disabled = false;
         elements.searchBtn.classList.remove('running');
         elements.progressSection.style.display = 'none';
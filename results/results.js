@@ -6,6 +6,7 @@
  * 2. AI configuration modal
  * 3. AI analysis streaming
  * 4. Follow-up questions
+ * 5. Exporting results (Markdown, JSON, HTML, CSV, vCard) and importing JSON exports
  */
 
 (function() {
@@ -18,6 +19,8 @@
     commentCount: document.getElementById('comment-count'),
     timestamp: document.getElementById('timestamp'),
     analyzeBtn: document.getElementById('analyze-btn'),
+    refreshResultsBtn: document.getElementById('refresh-results-btn'),
+    refreshStatus: document.getElementById('refresh-status'),
     resultsContainer: document.getElementById('results-container'),
     aiSection: document.getElementById('ai-section'),
     aiMessages: document.getElementById('ai-messages'),
@@ -39,7 +42,27 @@
     toolbar: document.getElementById('results-toolbar'),
     toggleLowRelevance: document.getElementById('toggle-low-relevance'),
     relevanceSummary: document.getElementById('relevance-summary'),
-    relevanceSep: document.getElementById('relevance-sep')
+    relevanceSep: document.getElementById('relevance-sep'),
+    errorSummary: document.getElementById('error-summary'),
+    partialNotice: document.getElementById('partial-notice'),
+    queryFilter: document.getElementById('query-filter'),
+    querySummary: document.getElementById('query-summary'),
+    schemaDiagnostics: document.getElementById('schema-diagnostics'),
+    schemaIssues: document.getElementById('schema-issues'),
+    exportSchemaReportBtn: document.getElementById('export-schema-report-btn'),
+    acceptSchemaBtn: document.getElementById('accept-schema-btn'),
+    providerSection: document.getElementById('provider-section'),
+    providerToggle: document.getElementById('provider-toggle'),
+    providerList: document.getElementById('provider-list'),
+    exportMenu: document.getElementById('export-menu'),
+    exportToggle: document.getElementById('export-toggle'),
+    exportOptions: document.getElementById('export-options'),
+    exportStatus: document.getElementById('export-status'),
+    importBtn: document.getElementById('import-btn'),
+    importFile: document.getElementById('import-file'),
+    vcardModal: document.getElementById('vcard-modal'),
+    vcardList: document.getElementById('vcard-list'),
+    downloadVCardBtn: document.getElementById('download-vcard-btn')
   };
 
   // State
@@ -56,6 +79,9 @@
   let scoredThreads = [];
   let currentSort = 'relevance';
   let hideLowRelevance = false;
+  let searchQueries = [];
+  let activeQuery = null; // null = all queries
+  let schemaReport = null;
 
   // ============================================================================
   // URL/Image Helpers
@@ -69,12 +95,11 @@
   }
 
   /**
-   * Escape HTML special characters to prevent XSS
+   * Only http(s) URLs become links or images - an imported file could carry
+   * data:, javascript: or file: URLs, which are shown as text instead
    */
-  function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+  function isWebUrl(url) {
+    return typeof url === 'string' && /^https?:\/\//i.test(url);
   }
 
   /**
@@ -135,6 +160,10 @@
   // ============================================================================
 
   async function init() {
+    // Opened from a saved search notification
+    const savedSearchId = new URLSearchParams(location.search).get('savedSearch');
+    if (savedSearchId) await openSavedSearchRun(savedSearchId);
+
     // Load search data
     await loadSearchData();
 
@@ -146,6 +175,7 @@
 
     // Set up event listeners
     elements.analyzeBtn.addEventListener('click', handleAnalyzeClick);
+    elements.refreshResultsBtn.addEventListener('click', handleRefreshClick);
     elements.sendBtn.addEventListener('click', handleSendClick);
     elements.followupInput.addEventListener('keypress', (e) => {
       if (e.key === 'Enter' && !e.shiftKey) {
@@ -179,6 +209,28 @@
     // Sort/filter toolbar
     elements.toolbar.addEventListener('click', handleToolbarClick);
     elements.toggleLowRelevance.addEventListener('click', handleToggleLowRelevance);
+    elements.queryFilter.addEventListener('click', handleQueryFilterClick);
+    elements.providerToggle.addEventListener('click', toggleProviders);
+    elements.exportToggle.addEventListener('click', toggleExportMenu);
+    elements.exportOptions.addEventListener('click', handleExportClick);
+    document.addEventListener('click', (e) => {
+      if (!elements.exportMenu.contains(e.target)) closeExportMenu();
+    });
+    elements.importBtn.addEventListener('click', () => elements.importFile.click());
+    elements.importFile.addEventListener('change', handleImportFile);
+
+    // vCard picker modal
+    elements.vcardList.addEventListener('change', updateVCardCount);
+    elements.downloadVCardBtn.addEventListener('click', handleDownloadVCard);
+    document.getElementById('close-vcard-btn').addEventListener('click', closeVCardModal);
+    document.getElementById('cancel-vcard-btn').addEventListener('click', closeVCardModal);
+    document.getElementById('vcard-select-all').addEventListener('click', () => setAllVCardSelections(true));
+    document.getElementById('vcard-select-none').addEventListener('click', () => setAllVCardSelections(false));
+
+    // Schema diagnostics
+    elements.exportSchemaReportBtn.addEventListener('click', exportSchemaReport);
+    elements.acceptSchemaBtn.addEventListener('click', handleAcceptSchema);
+    await loadSchemaReport();
   }
 
   // ============================================================================
@@ -211,48 +263,7 @@
   // Relevance Scoring & Highlighting
   // ============================================================================
 
-  function escapeRegExp(string) {
-    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-  }
-
-  function extractQueryTerms(query) {
-    if (!query) return [];
-    return query.toLowerCase().split(/\s+/).filter(t => t.length > 1);
-  }
-
-  function calculateRelevance(thread, terms) {
-    if (!terms.length) return 0;
-    let score = 0;
-    const title = (thread.op.subject || '').toLowerCase();
-    const body = (thread.op.body || '').toLowerCase();
-
-    for (const term of terms) {
-      const re = new RegExp(escapeRegExp(term), 'g');
-      score += (title.match(re) || []).length * 3;
-      score += (body.match(re) || []).length * 2;
-    }
-
-    function scoreComments(comments) {
-      let s = 0;
-      for (const c of comments) {
-        const text = (c.body || '').toLowerCase();
-        for (const term of terms) {
-          s += (text.match(new RegExp(escapeRegExp(term), 'g')) || []).length;
-        }
-        if (c.replies) s += scoreComments(c.replies);
-      }
-      return s;
-    }
-
-    score += scoreComments(thread.comments);
-    return score;
-  }
-
-  function getRelevanceLevel(score, maxScore) {
-    if (score === 0) return 'low';
-    if (score >= maxScore * 0.3) return 'high';
-    return 'medium';
-  }
+  // extractQueryTerms, calculateRelevance and getRelevanceLevel come from shared/relevance.js
 
   function highlightTerms(html, terms) {
     if (!terms || terms.length === 0 || !html) return html;
@@ -277,7 +288,8 @@
 
     const maxScore = Math.max(...scoredThreads.map(t => t.score), 1);
     scoredThreads.forEach(t => {
-      t.level = getRelevanceLevel(t.score, maxScore);
+      // No query terms (feed crawls) means no relevance to show
+      t.level = queryTerms.length > 0 ? getRelevanceLevel(t.score, maxScore) : null;
     });
 
     applySortOrder();
@@ -289,8 +301,10 @@
     } else if (currentSort === 'comments') {
       scoredThreads.sort((a, b) => b.commentCount - a.commentCount);
     } else if (currentSort === 'date') {
+      // Newest first; threads saved before absolute dates were captured keep search order at the end
+      const time = t => t.thread.op.createdAtIso ? Date.parse(t.thread.op.createdAtIso) : -Infinity;
       scoredThreads.sort((a, b) => {
-        return searchData.threads.indexOf(a.thread) - searchData.threads.indexOf(b.thread);
+        return (time(b) - time(a)) || (searchData.threads.indexOf(a.thread) - searchData.threads.indexOf(b.thread));
       });
     }
   }
@@ -316,6 +330,50 @@
     renderResults();
   }
 
+  function handleQueryFilterClick(e) {
+    const chip = e.target.closest('.query-chip');
+    if (!chip) return;
+
+    activeQuery = chip.dataset.query || null;
+    elements.queryFilter.querySelectorAll('.query-chip').forEach(c => {
+      c.classList.toggle('active', (c.dataset.query || null) === activeQuery);
+    });
+    renderResults();
+  }
+
+  function renderQueryFilter() {
+    elements.queryFilter.querySelectorAll('.query-chip').forEach(c => c.remove());
+    if (searchQueries.length < 2) {
+      elements.queryFilter.style.display = 'none';
+      return;
+    }
+
+    const addChip = (label, query, count) => {
+      const chip = document.createElement('button');
+      chip.className = 'toolbar-btn query-chip';
+      if (query) chip.dataset.query = query;
+      chip.classList.toggle('active', query === activeQuery);
+      chip.textContent = label;
+      const countEl = document.createElement('span');
+      countEl.className = 'chip-count';
+      countEl.textContent = count;
+      chip.appendChild(countEl);
+      elements.queryFilter.appendChild(chip);
+    };
+
+    addChip('All', null, searchData.threads.length);
+    for (const query of searchQueries) {
+      const count = searchData.threads.filter(t => getMatchedQueries(t).includes(query)).length;
+      addChip(query, query, count);
+    }
+    elements.queryFilter.style.display = 'flex';
+  }
+
+  // Single-query results saved before batch search have no matchedQueries
+  function getMatchedQueries(thread) {
+    return thread.matchedQueries || searchQueries;
+  }
+
   function handleToggleLowRelevance() {
     hideLowRelevance = !hideLowRelevance;
     elements.toggleLowRelevance.classList.toggle('active', hideLowRelevance);
@@ -327,6 +385,22 @@
   // Load and Render Search Data
   // ============================================================================
 
+  // Loads a saved search's latest run, asking first when it would replace other results
+  async function openSavedSearchRun(id) {
+    // Drop the parameter so reloading the page doesn't ask again
+    history.replaceState(null, '', location.pathname);
+
+    const { lastSearchData } = await browser.storage.local.get('lastSearchData');
+    if (lastSearchData && !confirm(`Replace the results for "${lastSearchData.query}" with the latest saved search run?`)) return;
+
+    try {
+      const response = await browser.runtime.sendMessage({ type: 'LOAD_SAVED_SEARCH_RESULTS', data: { id } });
+      if (response.type === 'ERROR') console.error('[NDS Results] Failed to open saved search results:', response.data.message);
+    } catch (e) {
+      console.error('[NDS Results] Failed to open saved search results:', e);
+    }
+  }
+
   async function loadSearchData() {
     try {
       const data = await browser.storage.local.get(['lastSearchData']);
@@ -336,9 +410,16 @@
       }
 
       searchData = data.lastSearchData;
-      queryTerms = extractQueryTerms(searchData.query);
+      searchQueries = searchData.source === 'feed' ? [] : (searchData.queries || [searchData.query]);
+      queryTerms = [...new Set(searchQueries.flatMap(extractQueryTerms))];
+      if (searchData.source === 'feed') {
+        setupFeedToolbar();
+      }
       scoreAndSortThreads();
       renderHeader();
+      renderQueryFilter();
+      renderErrorSummary();
+      renderProviders();
       renderResults();
     } catch (e) {
       console.error('[NDS Results] Error loading search data:', e);
@@ -360,8 +441,20 @@
     return count;
   }
 
+  // A feed crawl has no query to rank by - newest first instead
+  function setupFeedToolbar() {
+    currentSort = 'date';
+    elements.toolbar.querySelectorAll('[data-sort]').forEach(b => {
+      b.classList.toggle('active', b.dataset.sort === currentSort);
+      if (b.dataset.sort === 'relevance') b.style.display = 'none';
+    });
+    elements.toggleLowRelevance.style.display = 'none';
+  }
+
   function renderHeader() {
-    elements.queryText.textContent = `"${searchData.query}"`;
+    elements.queryText.textContent = searchData.source === 'feed'
+      ? searchData.query
+      : searchQueries.map(q => `"${q}"`).join(', ');
 
     // Count all comments including nested replies
     const totalComments = searchData.threads.reduce((sum, thread) => {
@@ -371,8 +464,27 @@
     elements.threadCount.textContent = `${searchData.threads.length} thread${searchData.threads.length !== 1 ? 's' : ''}`;
     elements.commentCount.textContent = `${totalComments} comment${totalComments !== 1 ? 's' : ''}`;
 
+    // Combined totals across queries - how much overlap the dedupe removed
+    if (searchQueries.length > 1) {
+      const matchTotal = searchData.threads.reduce((sum, t) => sum + getMatchedQueries(t).length, 0);
+      const merged = matchTotal - searchData.threads.length;
+      elements.querySummary.textContent = `from ${searchQueries.length} queries` +
+        (merged > 0 ? ` (${merged} duplicate${merged !== 1 ? 's' : ''} merged)` : '');
+    } else {
+      elements.querySummary.textContent = '';
+    }
+
     const date = new Date(searchData.timestamp);
-    elements.timestamp.textContent = date.toLocaleString();
+    elements.timestamp.textContent = date.toLocaleString() + (searchData.importedAt ? ' (imported)' : '');
+
+    // Search stopped by the user before every thread was fetched
+    if (searchData.cancelled) {
+      const found = searchData.postCount ? ` of ${searchData.postCount}` : '';
+      elements.partialNotice.textContent = `Stopped early: ${searchData.threads.length}${found} threads fetched`;
+      elements.partialNotice.style.display = '';
+    } else {
+      elements.partialNotice.style.display = 'none';
+    }
 
     // Relevance summary
     const highCount = scoredThreads.filter(t => t.level === 'high').length;
@@ -381,7 +493,7 @@
     const total = scoredThreads.length;
     const relevantCount = highCount + medCount;
 
-    if (total > 0) {
+    if (total > 0 && queryTerms.length > 0) {
       elements.relevanceSep.style.display = '';
       const barHtml = `<span class="summary-bar">` +
         `<span class="seg-high" style="width:${(highCount/total)*100}%"></span>` +
@@ -395,12 +507,260 @@
     }
   }
 
+  // Plain-language explanation for each failure kind classified by the content script
+  const ERROR_EXPLANATIONS = {
+    auth: {
+      title: 'Session expired',
+      hint: 'Nextdoor no longer accepted your login. Reload nextdoor.com (sign in again if asked) and re-run the search.'
+    },
+    persisted_query: {
+      title: 'Query template rejected',
+      hint: 'Nextdoor no longer recognizes the captured query hash, usually after a site update. Search and open a post on Nextdoor again to recapture it.'
+    },
+    rate_limited: {
+      title: 'Rate limited',
+      hint: 'Nextdoor kept refusing requests after several retries. Wait a few minutes, or lower concurrency in the extension options.'
+    },
+    not_found: {
+      title: 'Post unavailable',
+      hint: 'The post was deleted, hidden, or is not visible to your account.'
+    },
+    server: {
+      title: 'Nextdoor server error',
+      hint: 'Nextdoor returned server errors even after retries. Try again later.'
+    },
+    network: {
+      title: 'Connection problem',
+      hint: 'The request never completed. Check your connection and keep the Nextdoor tab open during the search.'
+    },
+    unknown: {
+      title: 'Other errors',
+      hint: 'The request failed for an unrecognized reason. See the debug logs for details.'
+    }
+  };
+
+  function renderErrorSummary() {
+    const errors = searchData.errors || [];
+    if (errors.length === 0) {
+      elements.errorSummary.style.display = 'none';
+      return;
+    }
+
+    // Group by kind, keeping the first-seen order
+    const groups = new Map();
+    for (const err of errors) {
+      const kind = ERROR_EXPLANATIONS[err.kind] ? err.kind : 'unknown';
+      if (!groups.has(kind)) groups.set(kind, []);
+      groups.get(kind).push(err);
+    }
+
+    let html = `<h3>${errors.length} thread${errors.length !== 1 ? 's' : ''} could not be loaded</h3>`;
+    for (const [kind, group] of groups) {
+      const { title, hint } = ERROR_EXPLANATIONS[kind];
+      const skipped = group.filter(e => e.skipped).length;
+      const links = group.map(e =>
+        `<a href="https://nextdoor.com/p/${encodeURIComponent(e.postId)}?view=detail" target="_blank" title="${escapeHtml(e.error || '')}">${escapeHtml(e.postId)}</a>`
+      ).join('');
+
+      html += `<div class="error-group">` +
+        `<span class="error-group-title">${title} (${group.length}${skipped ? `, ${skipped} skipped` : ''})</span> ` +
+        `<span class="error-group-hint">${hint}</span>` +
+        `<div class="error-group-posts">${links}</div>` +
+        `</div>`;
+    }
+
+    elements.errorSummary.innerHTML = html;
+    elements.errorSummary.style.display = 'block';
+  }
+
+  // ============================================================================
+  // Providers
+  // ============================================================================
+
+  // Reviews shown before the rest fold into "more reviews"
+  const VISIBLE_PROVIDER_REVIEWS = 3;
+
+  function renderProviders() {
+    const providers = searchData.providers || [];
+    if (providers.length === 0) {
+      elements.providerSection.style.display = 'none';
+      return;
+    }
+
+    const expanded = elements.providerList.style.display !== 'none';
+    elements.providerToggle.textContent = `${expanded ? '▾' : '▸'} ${providers.length} business${providers.length !== 1 ? 'es' : ''} tagged in these threads`;
+    elements.providerList.innerHTML = '';
+    providers.forEach(provider => elements.providerList.appendChild(createProviderCard(provider)));
+    elements.providerSection.style.display = 'block';
+  }
+
+  function toggleProviders() {
+    const expanded = elements.providerList.style.display !== 'none';
+    elements.providerList.style.display = expanded ? 'none' : 'block';
+    renderProviders();
+  }
+
+  function createProviderCard(provider) {
+    const profile = provider.profile || {};
+    const card = document.createElement('div');
+    card.className = 'provider-card';
+
+    const header = document.createElement('div');
+    header.className = 'provider-header';
+    const name = document.createElement(isWebUrl(provider.url) ? 'a' : 'span');
+    name.className = 'provider-name';
+    name.textContent = provider.name;
+    if (isWebUrl(provider.url)) {
+      name.href = provider.url;
+      name.target = '_blank';
+      name.rel = 'noopener noreferrer';
+    }
+    header.appendChild(name);
+    if (provider.category) {
+      const category = document.createElement('span');
+      category.className = 'provider-category';
+      category.textContent = provider.category;
+      header.appendChild(category);
+    }
+    card.appendChild(header);
+
+    const recommendations = profile.recommendations ?? provider.faves;
+    const facts = [
+      recommendations != null ? `${recommendations} recommendation${recommendations !== 1 ? 's' : ''}` : null,
+      `tagged in ${provider.postIds.length} thread${provider.postIds.length !== 1 ? 's' : ''}`,
+      provider.address
+    ].filter(Boolean);
+    const meta = document.createElement('div');
+    meta.className = 'provider-meta';
+    meta.textContent = facts.join(' · ');
+    card.appendChild(meta);
+
+    const contacts = {
+      phones: profile.phone ? [{ display: profile.phone, e164: profile.phone.replace(/[^\d+]/g, '') }] : [],
+      websites: isWebUrl(profile.website) ? [profile.website] : []
+    };
+    const chips = createContactChips(contacts);
+    if (chips.length > 0) {
+      const contactRow = document.createElement('div');
+      contactRow.className = 'contact-chips';
+      contactRow.append(...chips);
+      card.appendChild(contactRow);
+    }
+
+    if (profile.hours?.length) {
+      const hours = document.createElement('div');
+      hours.className = 'provider-hours';
+      hours.textContent = `Hours: ${profile.hours.join(' · ')}`;
+      card.appendChild(hours);
+    }
+
+    const reviews = profile.reviews || [];
+    if (reviews.length > 0) {
+      const list = document.createElement('ul');
+      list.className = 'provider-reviews';
+      reviews.slice(0, VISIBLE_PROVIDER_REVIEWS).forEach(review => list.appendChild(createProviderReview(review)));
+      card.appendChild(list);
+
+      if (reviews.length > VISIBLE_PROVIDER_REVIEWS) {
+        const more = document.createElement('details');
+        const summary = document.createElement('summary');
+        summary.textContent = `${reviews.length - VISIBLE_PROVIDER_REVIEWS} more review${reviews.length - VISIBLE_PROVIDER_REVIEWS !== 1 ? 's' : ''}`;
+        const rest = document.createElement('ul');
+        rest.className = 'provider-reviews';
+        reviews.slice(VISIBLE_PROVIDER_REVIEWS).forEach(review => rest.appendChild(createProviderReview(review)));
+        more.append(summary, rest);
+        card.appendChild(more);
+      }
+    }
+
+    if (!provider.enrichedAt) {
+      const note = document.createElement('div');
+      note.className = 'provider-note';
+      note.textContent = provider.enrichError
+        ? `Profile lookup failed: ${provider.enrichError}`
+        : 'Open any business page on Nextdoor, then refresh, to pull in hours, reviews and contact details.';
+      card.appendChild(note);
+    }
+
+    return card;
+  }
+
+  function createProviderReview(review) {
+    const item = document.createElement('li');
+    if (review.author) {
+      const author = document.createElement('strong');
+      author.textContent = `${review.author}: `;
+      item.appendChild(author);
+    }
+    item.appendChild(document.createTextNode(review.body));
+    return item;
+  }
+
+  // ============================================================================
+  // Schema Diagnostics
+  // ============================================================================
+
+  async function loadSchemaReport() {
+    try {
+      const response = await browser.runtime.sendMessage({ type: 'GET_SCHEMA_REPORT' });
+      if (response.type === 'SCHEMA_REPORT') {
+        schemaReport = response.data;
+        renderSchemaDiagnostics();
+      }
+    } catch (e) {
+      console.error('[NDS Results] Failed to load schema report:', e);
+    }
+  }
+
+  function renderSchemaDiagnostics() {
+    const issues = schemaReport?.issues || [];
+    if (issues.length === 0) {
+      elements.schemaDiagnostics.style.display = 'none';
+      return;
+    }
+
+    elements.schemaIssues.innerHTML = issues.map(issue =>
+      `<li class="schema-issue ${issue.severity}">` +
+        `<span class="schema-issue-operation">${escapeHtml(issue.operation)}</span> ` +
+        `${escapeHtml(issue.message)}` +
+      `</li>`
+    ).join('');
+    elements.schemaDiagnostics.style.display = 'block';
+  }
+
+  async function exportSchemaReport() {
+    // Fetch again so the export reflects responses seen since the page loaded
+    await loadSchemaReport();
+    if (!schemaReport) return;
+
+    try {
+      await downloadFile(
+        `nextdoor-deep-search-diagnostics-${schemaReport.generatedAt.slice(0, 10)}.json`,
+        JSON.stringify(schemaReport, null, 2),
+        'application/json'
+      );
+    } catch (e) {
+      console.error('[NDS Results] Failed to export diagnostics:', e);
+    }
+  }
+
+  async function handleAcceptSchema() {
+    try {
+      await browser.runtime.sendMessage({ type: 'ACCEPT_SCHEMA_BASELINE' });
+      await loadSchemaReport();
+    } catch (e) {
+      console.error('[NDS Results] Failed to accept schema baseline:', e);
+    }
+  }
+
   function renderResults() {
     elements.resultsContainer.innerHTML = '';
 
-    const threadsToShow = hideLowRelevance
-      ? scoredThreads.filter(t => t.level !== 'low')
-      : scoredThreads;
+    const threadsToShow = scoredThreads.filter(t => {
+      if (hideLowRelevance && t.level === 'low') return false;
+      if (activeQuery && !getMatchedQueries(t.thread).includes(activeQuery)) return false;
+      return true;
+    });
 
     for (const { thread, level, commentCount } of threadsToShow) {
       const card = createThreadCard(thread, level, commentCount);
@@ -435,11 +795,13 @@
     const badges = document.createElement('div');
     badges.className = 'thread-badges';
 
-    const relevanceBadge = document.createElement('span');
-    relevanceBadge.className = `relevance-badge ${level}`;
-    const levelLabels = { high: 'High match', medium: 'Some match', low: 'Low match' };
-    relevanceBadge.textContent = levelLabels[level] || level;
-    badges.appendChild(relevanceBadge);
+    if (level) {
+      const relevanceBadge = document.createElement('span');
+      relevanceBadge.className = `relevance-badge ${level}`;
+      const levelLabels = { high: 'High match', medium: 'Some match', low: 'Low match' };
+      relevanceBadge.textContent = levelLabels[level] || level;
+      badges.appendChild(relevanceBadge);
+    }
 
     if (commentCount > 0) {
       const commentBadge = document.createElement('span');
@@ -448,6 +810,34 @@
       badges.appendChild(commentBadge);
     }
 
+    // Nextdoor reported a different total than we managed to extract
+    if (thread.commentsIncomplete) {
+      const incompleteBadge = document.createElement('span');
+      incompleteBadge.className = 'incomplete-badge';
+      incompleteBadge.textContent = `Nextdoor reports ${thread.commentCountExpected}`;
+      incompleteBadge.title = `Extracted ${commentCount} of ${thread.commentCountExpected} comments Nextdoor reports for this thread. Open it on Nextdoor to see the rest.`;
+      badges.appendChild(incompleteBadge);
+    }
+
+    for (const topic of thread.op.topics || []) {
+      const topicBadge = document.createElement('span');
+      topicBadge.className = 'topic-badge';
+      topicBadge.textContent = topic;
+      badges.appendChild(topicBadge);
+    }
+
+    badges.append(...createReactionBadges(thread.op.reactions));
+
+    // Added or grown since the previous refresh
+    if (thread.newSince) {
+      card.classList.add('is-new');
+      badges.appendChild(createNewBadge('New', thread.newSince));
+    } else if (thread.newCommentsSince) {
+      card.classList.add('is-new');
+      const label = `${thread.newCommentCount} new comment${thread.newCommentCount !== 1 ? 's' : ''}`;
+      badges.appendChild(createNewBadge(label, thread.newCommentsSince));
+    }
+
     // Collapse toggle for low-relevance
     if (level === 'low') {
       card.classList.add('collapsed');
@@ -467,6 +857,7 @@
     const author = document.createElement('span');
     author.className = 'author';
     author.textContent = thread.op.author;
+    if (thread.op.authorId) author.title = `Author ID: ${thread.op.authorId}`;
 
     const location = document.createElement('span');
     location.className = 'location';
@@ -474,13 +865,16 @@
 
     const date = document.createElement('span');
     date.className = 'date';
-    date.textContent = thread.op.createdAt;
+    setDisplayDate(date, thread.op);
 
     meta.appendChild(author);
     meta.appendChild(document.createTextNode(' • '));
     meta.appendChild(location);
     meta.appendChild(document.createTextNode(' • '));
     meta.appendChild(date);
+    if (thread.op.edited) {
+      meta.appendChild(createEditedFlag());
+    }
 
     const body = document.createElement('div');
     body.className = 'thread-body';
@@ -491,6 +885,15 @@
     card.appendChild(meta);
     card.appendChild(body);
 
+    if (thread.op.media?.length > 0) {
+      card.appendChild(createMediaGallery(thread.op.media));
+    }
+
+    const opContacts = createContactsMeta(thread.op);
+    if (opContacts) {
+      card.appendChild(opContacts);
+    }
+
     if (thread.comments.length > 0) {
       const commentsSection = createCommentsSection(thread.comments);
       card.appendChild(commentsSection);
@@ -499,6 +902,238 @@
     return card;
   }
 
+  /**
+   * Relative time computed now from the absolute date, so old results don't
+   * keep saying "2 wk ago". Falls back to the stored label for older data.
+   */
+  function formatRelativeTime(iso) {
+    const seconds = Math.max(0, (Date.now() - Date.parse(iso)) / 1000);
+    const units = [
+      [365 * 24 * 3600, 'yr'],
+      [30 * 24 * 3600, 'mo'],
+      [7 * 24 * 3600, 'wk'],
+      [24 * 3600, 'day'],
+      [3600, 'hr'],
+      [60, 'min']
+    ];
+    for (const [size, label] of units) {
+      if (seconds >= size) {
+        const n = Math.floor(seconds / size);
+        return `${n} ${label}${n !== 1 && label === 'day' ? 's' : ''} ago`;
+      }
+    }
+    return 'just now';
+  }
+
+  function setDisplayDate(el, item) {
+    if (!item.createdAtIso) {
+      el.textContent = item.createdAt || '';
+      return;
+    }
+    const absolute = new Date(item.createdAtIso).toLocaleString();
+    el.textContent = (item.createdAtEstimated ? '~' : '') + formatRelativeTime(item.createdAtIso);
+    el.title = item.createdAtEstimated ? `About ${absolute} (estimated from "${item.createdAt}")` : absolute;
+  }
+
+  const REACTION_ICONS = {
+    LIKE: '👍',
+    THANK: '🙏',
+    THANKS: '🙏',
+    AGREE: '🤝',
+    LOVE: '❤️',
+    HEART: '❤️',
+    HAHA: '😆',
+    FUNNY: '😆',
+    WOW: '😮',
+    SAD: '😢',
+    ANGRY: '😠'
+  };
+
+  function createReactionBadges(reactions) {
+    if (!reactions) return [];
+
+    const entries = Object.entries(reactions.byType || {}).sort((a, b) => b[1] - a[1]);
+    // Only a total was available - show it as one badge
+    if (entries.length === 0) entries.push(['REACTIONS', reactions.total]);
+
+    return entries.map(([type, count]) => {
+      const badge = document.createElement('span');
+      badge.className = 'reaction-badge';
+      const icon = REACTION_ICONS[type.toUpperCase()];
+      badge.textContent = icon ? `${icon} ${count}` : `${count} ${type.toLowerCase()}`;
+      badge.title = `${count} ${type.toLowerCase()}`;
+      return badge;
+    });
+  }
+
+  // Photos open in the image overlay (via handleLinkClick); videos open on Nextdoor's CDN in a new tab
+  function createMediaGallery(media) {
+    const gallery = document.createElement('div');
+    gallery.className = 'media-gallery';
+
+    for (const item of media) {
+      if (!isWebUrl(item.url)) {
+        const text = document.createElement('span');
+        text.className = 'media-thumb';
+        text.textContent = item.url;
+        gallery.appendChild(text);
+        continue;
+      }
+
+      const link = document.createElement('a');
+      link.href = item.url;
+
+      if (item.type === 'photo') {
+        link.className = 'image-link media-thumb';
+        link.dataset.imageUrl = item.url;
+        const img = document.createElement('img');
+        img.src = isWebUrl(item.thumbnailUrl) ? item.thumbnailUrl : item.url;
+        img.alt = 'Attached photo';
+        img.loading = 'lazy';
+        link.appendChild(img);
+      } else {
+        link.className = 'media-thumb media-video';
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        link.textContent = '▶ Video';
+      }
+
+      gallery.appendChild(link);
+    }
+
+    return gallery;
+  }
+
+  // Results saved before phones/businesses became arrays carry a single phone/business
+  function getPhones(item) {
+    return item.phones || (item.phone ? [item.phone] : []);
+  }
+
+  function getBusinesses(item) {
+    return item.businesses || (item.business ? [item.business] : []);
+  }
+
+  /**
+   * Phones, tagged businesses and links of a post or comment
+   * @returns {HTMLElement|null} - null when there is nothing to show
+   */
+  function createContactsMeta(item) {
+    const phones = getPhones(item);
+    const businesses = getBusinesses(item);
+    const links = item.links || [];
+    const chips = createContactChips(item.contacts);
+    if (phones.length === 0 && businesses.length === 0 && links.length === 0 && chips.length === 0) return null;
+
+    const meta = document.createElement('div');
+    meta.className = 'comment-meta';
+
+    if (chips.length > 0) {
+      const row = document.createElement('div');
+      row.className = 'contact-chips';
+      row.append(...chips);
+      meta.appendChild(row);
+    }
+
+    for (const number of phones) {
+      const phone = document.createElement('span');
+      phone.className = 'comment-phone';
+      phone.textContent = number;
+      meta.appendChild(phone);
+    }
+
+    for (const biz of businesses) {
+      const business = document.createElement('div');
+      business.className = 'comment-business';
+
+      const name = document.createElement('span');
+      name.className = 'business-name';
+      name.textContent = biz.name;
+      business.appendChild(name);
+
+      if (biz.category) {
+        const category = document.createElement('span');
+        category.className = 'business-category';
+        category.textContent = ` - ${biz.category}`;
+        business.appendChild(category);
+      }
+
+      if (biz.faves) {
+        const faves = document.createElement('span');
+        faves.className = 'business-faves';
+        faves.textContent = `${biz.faves} faves`;
+        business.appendChild(faves);
+      }
+
+      if (biz.address) {
+        const address = document.createElement('div');
+        address.className = 'business-address';
+        address.textContent = biz.address;
+        business.appendChild(address);
+      }
+
+      meta.appendChild(business);
+    }
+
+    for (const url of links) {
+      const link = document.createElement(isWebUrl(url) ? 'a' : 'span');
+      link.className = 'comment-link';
+      link.textContent = url;
+      if (isWebUrl(url)) {
+        link.href = url;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+      }
+      meta.appendChild(link);
+    }
+
+    return meta;
+  }
+
+  /**
+   * Clickable chips for contact details found in the text (tel:, mailto:, websites, social profiles)
+   * @returns {Array} - Chip elements
+   */
+  function createContactChips(contacts) {
+    if (!contacts) return [];
+
+    // Websites and profiles that aren't http(s) stay plain text
+    const chip = (type, label, href, title) => {
+      const isLink = href.startsWith('tel:') || href.startsWith('mailto:') || isWebUrl(href);
+      const a = document.createElement(isLink ? 'a' : 'span');
+      a.className = `contact-chip contact-${type}`;
+      a.textContent = label;
+      a.title = title;
+      if (!isLink) return a;
+      a.href = href;
+      if (!href.startsWith('tel:') && !href.startsWith('mailto:')) {
+        a.target = '_blank';
+        a.rel = 'noopener noreferrer';
+      }
+      return a;
+    };
+
+    return [
+      ...(contacts.phones || []).map(p => chip('phone', `☎ ${p.display}`, `tel:${p.e164}`, `Call ${p.e164}`)),
+      ...(contacts.emails || []).map(e => chip('email', `✉ ${e}`, `mailto:${e}`, `Email ${e}`)),
+      ...(contacts.websites || []).map(w => chip('website', w.replace(/^https:\/\//, ''), w, w)),
+      ...(contacts.handles || []).map(h => chip('handle', `@${h.handle}`, h.url, `${h.platform}: @${h.handle}`))
+    ];
+  }
+
+  function createEditedFlag() {
+    const flag = document.createElement('span');
+    flag.className = 'edited-flag';
+    flag.textContent = '(edited)';
+    return flag;
+  }
+
+  function createNewBadge(label, since) {
+    const badge = document.createElement('span');
+    badge.className = 'new-badge';
+    badge.textContent = `${label} since ${new Date(since).toLocaleString()}`;
+    return badge;
+  }
+
   function createCommentsSection(comments) {
     const section = document.createElement('div');
     section.className = 'comments-section';
@@ -533,6 +1168,7 @@
     const author = document.createElement('span');
     author.className = 'comment-author';
     author.textContent = comment.author;
+    if (comment.authorId) author.title = `Author ID: ${comment.authorId}`;
 
     const location = document.createElement('span');
     location.className = 'comment-location';
@@ -540,12 +1176,15 @@
 
     const date = document.createElement('span');
     date.className = 'comment-date';
-    date.textContent = comment.createdAt;
+    setDisplayDate(date, comment);
 
     header.appendChild(author);
     header.appendChild(document.createTextNode(' '));
     header.appendChild(location);
     header.appendChild(date);
+    if (comment.edited) {
+      header.appendChild(createEditedFlag());
+    }
 
     // Add level indicator for nested replies
     if (level > 0) {
@@ -559,6 +1198,11 @@
       header.appendChild(levelBadge);
     }
 
+    if (comment.newSince) {
+      card.classList.add('is-new');
+      header.appendChild(createNewBadge('New', comment.newSince));
+    }
+
     const body = document.createElement('div');
     body.className = 'comment-body';
     body.innerHTML = highlightTerms(linkifyText(comment.body), queryTerms) || '(empty)';
@@ -566,51 +1210,21 @@
     card.appendChild(header);
     card.appendChild(body);
 
-    if (comment.phone || comment.business) {
-      const meta = document.createElement('div');
-      meta.className = 'comment-meta';
-
-      if (comment.phone) {
-        const phone = document.createElement('span');
-        phone.className = 'comment-phone';
-        phone.textContent = comment.phone;
-        meta.appendChild(phone);
-      }
-
-      if (comment.business) {
-        const business = document.createElement('div');
-        business.className = 'comment-business';
-
-        const name = document.createElement('span');
-        name.className = 'business-name';
-        name.textContent = comment.business.name;
-        business.appendChild(name);
-
-        if (comment.business.category) {
-          const category = document.createElement('span');
-          category.className = 'business-category';
-          category.textContent = ` - ${comment.business.category}`;
-          business.appendChild(category);
-        }
-
-        if (comment.business.faves) {
-          const faves = document.createElement('span');
-          faves.className = 'business-faves';
-          faves.textContent = `${comment.business.faves} faves`;
-          business.appendChild(faves);
-        }
-
-        if (comment.business.address) {
-          const address = document.createElement('div');
-          address.className = 'business-address';
-          address.textContent = comment.business.address;
-          business.appendChild(address);
-        }
+    if (comment.media?.length > 0) {
+      card.appendChild(createMediaGallery(comment.media));
+    }
 
-        meta.appendChild(business);
-      }
+    const reactionBadges = createReactionBadges(comment.reactions);
+    if (reactionBadges.length > 0) {
+      const reactionsRow = document.createElement('div');
+      reactionsRow.className = 'comment-reactions';
+      reactionsRow.append(...reactionBadges);
+      card.appendChild(reactionsRow);
+    }
 
-      card.appendChild(meta);
+    const contacts = createContactsMeta(comment);
+    if (contacts) {
+      card.appendChild(contacts);
     }
 
     // Recursively render nested replies
@@ -629,6 +1243,411 @@
     return card;
   }
 
+  // ============================================================================
+  // Incremental Refresh
+  // ============================================================================
+
+  async function handleRefreshClick() {
+    elements.refreshResultsBtn.disabled = true;
+    elements.refreshStatus.textContent = 'Refreshing...';
+
+    try {
+      const response = await browser.runtime.sendMessage({ type: 'REFRESH_RESULTS' });
+      if (response.type === 'ERROR') {
+        elements.refreshStatus.textContent = response.data.message;
+        return;
+      }
+
+      const { newThreads, updatedThreads, newComments } = response.data;
+      elements.refreshStatus.textContent = newThreads === 0 && newComments === 0
+        ? 'Nothing new'
+        : `${newThreads} new thread${newThreads !== 1 ? 's' : ''}, ${newComments} new comment${newComments !== 1 ? 's' : ''} in ${updatedThreads} thread${updatedThreads !== 1 ? 's' : ''}`;
+      await loadSearchData();
+    } catch (e) {
+      console.error('[NDS Results] Error refreshing results:', e);
+      elements.refreshStatus.textContent = 'Refresh failed: ' + e.message;
+    } finally {
+      elements.refreshResultsBtn.disabled = false;
+    }
+  }
+
+  // ============================================================================
+  // Export
+  // ============================================================================
+
+  function toggleExportMenu() {
+    const open = elements.exportOptions.style.display === 'none';
+    elements.exportOptions.style.display = open ? 'block' : 'none';
+    elements.exportToggle.setAttribute('aria-expanded', String(open));
+  }
+
+  function closeExportMenu() {
+    elements.exportOptions.style.display = 'none';
+    elements.exportToggle.setAttribute('aria-expanded', 'false');
+  }
+
+  // Saved by the background script through the downloads API, like the other exports
+  async function downloadFile(filename, content, mimeType) {
+    const response = await browser.runtime.sendMessage({
+      type: 'DOWNLOAD_FILE',
+      data: { filename, content, mimeType }
+    });
+    if (response.type === 'ERROR') throw new Error(response.data.message);
+    return response.data.filename;
+  }
+
+  // Markdown, JSON and HTML are formatted and downloaded by the background script;
+  // the CSV shapes are built here from the loaded thread model
+  async function handleExportClick(e) {
+    const option = e.target.closest('[data-export]');
+    if (!option) return;
+
+    closeExportMenu();
+
+    if (option.dataset.export === 'vcard') {
+      showVCardModal();
+      return;
+    }
+
+    const csvExport = CSV_EXPORTS[option.dataset.export];
+    if (csvExport) {
+      const date = new Date().toISOString().split('T')[0];
+      const filename = `nextdoor-${(searchData.query || 'results').replace(/[^a-z0-9]/gi, '-')}-${csvExport.suffix}-${date}.csv`;
+      try {
+        elements.exportStatus.textContent = `Saved ${await downloadFile(filename, toCsv(csvExport.headers, csvExport.rows()), 'text/csv')}`;
+      } catch (err) {
+        console.error('[NDS Results] Error exporting CSV:', err);
+        elements.exportStatus.textContent = 'Export failed: ' + err.message;
+      }
+      return;
+    }
+
+    elements.exportToggle.disabled = true;
+    elements.exportStatus.textContent = 'Exporting...';
+
+    try {
+      const response = await browser.runtime.sendMessage({
+        type: 'EXPORT_RESULTS',
+        data: { format: option.dataset.export }
+      });
+      elements.exportStatus.textContent = response.type === 'ERROR'
+        ? response.data.message
+        : `Saved ${response.data.filename}`;
+    } catch (err) {
+      console.error('[NDS Results] Error exporting results:', err);
+      elements.exportStatus.textContent = 'Export failed: ' + err.message;
+    } finally {
+      elements.exportToggle.disabled = false;
+    }
+  }
+
+  // The background validates the file and replaces lastSearchData with it
+  async function handleImportFile() {
+    const file = elements.importFile.files[0];
+    elements.importFile.value = '';
+    if (!file) return;
+    if (searchData && !confirm(`Replace the results for "${searchData.query}" with ${file.name}?`)) return;
+
+    elements.exportStatus.textContent = 'Importing...';
+    try {
+      const response = await browser.runtime.sendMessage({
+        type: 'IMPORT_RESULTS',
+        data: { text: await file.text() }
+      });
+      if (response.type === 'ERROR') {
+        elements.exportStatus.textContent = 'Import failed: ' + response.data.message;
+        return;
+      }
+      // Start over so sorting, filters and the AI panel all match the imported results
+      location.reload();
+    } catch (err) {
+      console.error('[NDS Results] Error importing results:', err);
+      elements.exportStatus.textContent = 'Import failed: ' + err.message;
+    }
+  }
+
+  // ============================================================================
+  // CSV Export
+  // ============================================================================
+
+  const COMMENT_CSV_HEADERS = ['Thread', 'Post URL', 'Author', 'Neighborhood', 'Date', 'Depth', 'Body', 'Phone', 'Business'];
+  const CONTACT_CSV_HEADERS = ['Type', 'Name', 'Category', 'Phone', 'Mentions', 'Threads', 'Mentioned By', 'Sample Quotes', 'Nextdoor Page'];
+  const MAX_SAMPLE_QUOTES = 3;
+  const SAMPLE_QUOTE_LENGTH = 200;
+
+  const CSV_EXPORTS = {
+    'comments-csv': { suffix: 'comments', headers: COMMENT_CSV_HEADERS, rows: buildCommentRows },
+    'contacts-csv': { suffix: 'contacts', headers: CONTACT_CSV_HEADERS, rows: buildContactRows }
+  };
+
+  // RFC 4180: quote fields holding commas, quotes or line breaks and double the quotes.
+  // Leading = + - @ tab or CR would be read as a formula; a quote mark keeps it text.
+  // Only a bare phone number ("+1 (555) 123-4567") is left alone.
+  function csvField(value) {
+    let text = value == null ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text) && !/^\+[\d\s().-]+$/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // BOM so Excel reads the file as UTF-8; CRLF line endings per RFC 4180
+  function toCsv(headers, rows) {
+    return '\uFEFF' + [headers, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+  }
+
+  // Structured phone fields plus numbers mined from the text, without duplicates
+  function getAllPhones(item) {
+    const phones = new Map();
+    for (const number of getPhones(item)) phones.set(normalizePhone(number), number);
+    for (const p of item.contacts?.phones || []) {
+      const key = normalizePhone(p.e164 || p.display);
+      if (!phones.has(key)) phones.set(key, p.display);
+    }
+    phones.delete('');
+    return phones;
+  }
+
+  // Digits only, without the US country code, so "(555) 123-4567" and "+15551234567" match
+  function normalizePhone(number) {
+    const digits = String(number || '').replace(/\D/g, '');
+    return digits.length === 11 && digits.startsWith('1') ? digits.slice(1) : digits;
+  }
+
+  function toNextdoorUrl(url) {
+    if (!url) return '';
+    return url.startsWith('/') ? `https://nextdoor.com${url}` : url;
+  }
+
+  /**
+   * Calls fn for the original post (depth 0) and every comment and reply (depth 1+)
+   */
+  function forEachItem(threads, fn) {
+    const walk = (comments, thread, depth) => {
+      for (const comment of comments || []) {
+        fn(comment, thread, depth);
+        walk(comment.replies, thread, depth + 1);
+      }
+    };
+    for (const thread of threads) {
+      fn(thread.op, thread, 0);
+      walk(thread.comments, thread, 1);
+    }
+  }
+
+  // One row per post or comment, in the order the results page shows them
+  function buildCommentRows() {
+    const rows = [];
+    forEachItem(scoredThreads.map(t => t.thread), (item, thread, depth) => {
+      rows.push([
+        thread.op.subject || '(No subject)',
+        thread.url,
+        item.author,
+        item.location,
+        item.createdAtIso || item.createdAt,
+        depth,
+        item.body,
+        [...getAllPhones(item).values()].join('; '),
+        getBusinesses(item).map(b => b.name).join('; ')
+      ]);
+    });
+    return rows;
+  }
+
+  /**
+   * Every distinct tagged business and phone number, most mentioned first
+   * @returns {Array} - [{ key, type, name, category, phone, website, address, url, mentions, postIds, threadUrls, authors, quotes }]
+   */
+  function collectContacts() {
+    const entries = new Map();
+    const providers = new Map((searchData.providers || []).map(p => [p.key, p]));
+
+    const mention = (key, init, item, thread) => {
+      if (!entries.has(key)) {
+        entries.set(key, { key, ...init, mentions: 0, postIds: new Set(), threadUrls: [], authors: new Set(), quotes: [] });
+      }
+      const entry = entries.get(key);
+      entry.mentions++;
+      if (!entry.postIds.has(thread.postId)) entry.threadUrls.push(thread.url);
+      entry.postIds.add(thread.postId);
+      if (item.author) entry.authors.add(item.author);
+      if (item.body && entry.quotes.length < MAX_SAMPLE_QUOTES) {
+        const body = item.body.trim();
+        entry.quotes.push(body.length > SAMPLE_QUOTE_LENGTH ? body.slice(0, SAMPLE_QUOTE_LENGTH) + '…' : body);
+      }
+    };
+
+    forEachItem(searchData.threads, (item, thread) => {
+      for (const biz of getBusinesses(item)) {
+        if (!biz.name) continue;
+        // Same key the background uses for searchData.providers
+        const key = biz.id || biz.name.trim().toLowerCase();
+        const profile = providers.get(key)?.profile;
+        mention(`business:${key}`, {
+          type: 'Business',
+          name: biz.name,
+          category: biz.category,
+          phone: profile?.phone,
+          website: profile?.website,
+          address: biz.address,
+          url: toNextdoorUrl(biz.url)
+        }, item, thread);
+      }
+      for (const [key, display] of getAllPhones(item)) {
+        mention(`phone:${key}`, { type: 'Phone', name: display, phone: display }, item, thread);
+      }
+    });
+
+    return [...entries.values()].sort((a, b) => b.mentions - a.mentions || b.postIds.size - a.postIds.size);
+  }
+
+  function buildContactRows() {
+    return collectContacts().map(e => [
+      e.type,
+      e.name,
+      e.category,
+      e.phone,
+      e.mentions,
+      e.postIds.size,
+      [...e.authors].join('; '),
+      e.quotes.join('\n\n'),
+      e.url
+    ]);
+  }
+
+  // ============================================================================
+  // vCard Export
+  // ============================================================================
+
+  const VCARD_QUOTE_LENGTH = 140;
+  let vcardContacts = [];
+
+  // Commas, semicolons, backslashes and newlines are structural in vCard values
+  function escapeVCard(value) {
+    return String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/([,;])/g, '\\$1')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  // Lines longer than 75 octets continue on the next line after a space (RFC 6350 3.2)
+  function foldVCardLine(line) {
+    const encoder = new TextEncoder();
+    const lines = [];
+    let current = '';
+    let bytes = 0;
+    for (const char of line) {
+      const size = encoder.encode(char).length;
+      if (bytes + size > 75) {
+        lines.push(current);
+        current = ' ';
+        bytes = 1;
+      }
+      current += char;
+      bytes += size;
+    }
+    lines.push(current);
+    return lines.join('\r\n');
+  }
+
+  // vCard 3.0 - the version phone contact apps import most reliably
+  function formatVCard(contact) {
+    const quote = contact.quotes[0] || '';
+    const noteParts = [
+      `Recommended on Nextdoor by ${[...contact.authors].join(', ') || 'a neighbor'}`,
+      quote && `"${quote.length > VCARD_QUOTE_LENGTH ? quote.slice(0, VCARD_QUOTE_LENGTH) + '…' : quote}"`,
+      contact.threadUrls[0]
+    ].filter(Boolean);
+
+    const lines = [
+      'BEGIN:VCARD',
+      'VERSION:3.0',
+      `FN:${escapeVCard(contact.name)}`
+    ];
+    if (contact.type === 'Business') {
+      lines.push('N:;;;;', `ORG:${escapeVCard(contact.name)}`);
+    } else {
+      lines.push('N:;;;;');
+    }
+    if (contact.phone) lines.push(`TEL;TYPE=WORK,VOICE:${escapeVCard(contact.phone)}`);
+    if (contact.address) lines.push(`ADR;TYPE=WORK:;;${escapeVCard(contact.address)};;;;`);
+    if (contact.category) lines.push(`CATEGORIES:${escapeVCard(contact.category)}`);
+    if (contact.website) lines.push(`URL:${escapeVCard(contact.website)}`);
+    if (contact.url) lines.push(`URL:${escapeVCard(contact.url)}`);
+    lines.push(`NOTE:${escapeVCard(noteParts.join('\n'))}`, 'END:VCARD');
+
+    return lines.map(foldVCardLine).join('\r\n');
+  }
+
+  function showVCardModal() {
+    vcardContacts = collectContacts();
+    elements.vcardList.innerHTML = '';
+
+    if (vcardContacts.length === 0) {
+      elements.vcardList.textContent = 'No tagged businesses or phone numbers in these results.';
+    }
+
+    vcardContacts.forEach((contact, i) => {
+      const label = document.createElement('label');
+      label.className = 'vcard-option';
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = true;
+      checkbox.dataset.index = i;
+
+      const name = document.createElement('span');
+      name.className = 'vcard-name';
+      name.textContent = contact.name;
+
+      const detail = document.createElement('span');
+      detail.className = 'vcard-detail';
+      detail.textContent = [
+        contact.type === 'Business' ? contact.category || 'Business' : 'Phone',
+        contact.type === 'Business' ? contact.phone : null,
+        `${contact.mentions} mention${contact.mentions !== 1 ? 's' : ''}`
+      ].filter(Boolean).join(' · ');
+
+      label.append(checkbox, name, detail);
+      elements.vcardList.appendChild(label);
+    });
+
+    updateVCardCount();
+    elements.vcardModal.style.display = 'flex';
+  }
+
+  function closeVCardModal() {
+    elements.vcardModal.style.display = 'none';
+  }
+
+  function getSelectedVCardContacts() {
+    return [...elements.vcardList.querySelectorAll('input:checked')].map(cb => vcardContacts[cb.dataset.index]);
+  }
+
+  function updateVCardCount() {
+    const count = getSelectedVCardContacts().length;
+    elements.downloadVCardBtn.disabled = count === 0;
+    elements.downloadVCardBtn.textContent = `Download ${count} contact${count !== 1 ? 's' : ''}`;
+  }
+
+  function setAllVCardSelections(checked) {
+    elements.vcardList.querySelectorAll('input[type="checkbox"]').forEach(cb => { cb.checked = checked; });
+    updateVCardCount();
+  }
+
+  async function handleDownloadVCard() {
+    const selected = getSelectedVCardContacts();
+    if (selected.length === 0) return;
+
+    const date = new Date().toISOString().split('T')[0];
+    const filename = `nextdoor-${(searchData.query || 'results').replace(/[^a-z0-9]/gi, '-')}-contacts-${date}.vcf`;
+    closeVCardModal();
+    try {
+      elements.exportStatus.textContent = `Saved ${await downloadFile(filename, selected.map(formatVCard).join('\r\n') + '\r\n', 'text/vcard')}`;
+    } catch (err) {
+      console.error('[NDS Results] Error exporting contacts:', err);
+      elements.exportStatus.textContent = 'Export failed: ' + err.message;
+    }
+  }
+
   function showError(message) {
     elements.resultsContainer.innerHTML = `
       <div style="padding: 40px; text-align: center; color: #C62828;">
@@ -943,6 +1962,10 @@
         currentToolUsage = [];
         break;
 
+      case 'REFRESH_PROGRESS':
+        elements.refreshStatus.textContent = message.data.message;
+        break;
+
       case 'TOOL_EXECUTING':
         toolStartTime = Date.now();
         showToolIndicator(message.query, 'searching');
@@ -1216,12 +2239,6 @@
     }
   }
 
-  function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
-  }
-
   function addToolUsageBadge(messageBubble, toolUsage) {
     // Create badge container
     const badge = document.createElement('div');
@@ -0,0 +1,58 @@
+/**
+ * Nextdoor Deep Search - Relevance Scoring
+ *
+ * Query term matching shared by the results page and the HTML export, so both
+ * rank and label threads the same way. Loaded as a plain script ahead of
+ * background.js and results.js.
+ */
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function escapeRegExp(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// ============================================================================
+// Relevance Scoring
+// ============================================================================
+
+function extractQueryTerms(query) {
+  if (!query) return [];
+  return query.toLowerCase().split(/\s+/).filter(t => t.length > 1);
+}
+
+function countTermMatches(text, terms) {
+  const lower = (text || '').toLowerCase();
+  return terms.reduce((sum, term) => sum + (lower.match(new RegExp(escapeRegExp(term), 'g')) || []).length, 0);
+}
+
+/**
+ * Scores a thread by query term matches: subject x3, body x2, each comment x1
+ * @param {Object} thread - Thread with op and nested comments
+ * @param {Array} terms - Lowercase terms from extractQueryTerms
+ * @returns {number} - 0 when there are no terms
+ */
+function calculateRelevance(thread, terms) {
+  if (!terms.length) return 0;
+  let score = countTermMatches(thread.op.subject, terms) * 3 + countTermMatches(thread.op.body, terms) * 2;
+  const scoreComments = comments => {
+    for (const c of comments || []) {
+      score += countTermMatches(c.body, terms);
+      if (c.replies) scoreComments(c.replies);
+    }
+  };
+  scoreComments(thread.comments);
+  return score;
+}
+
+function getRelevanceLevel(score, maxScore) {
+  if (score === 0) return 'low';
+  if (score >= maxScore * 0.3) return 'high';
+  return 'medium';
+}